@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// Import the JSON files in DATA_DIR (strm-cache.json, jobs.json, display-names.json,
+// snapshots.json, rd-credentials.json and the legacy cast-state.json, for every user)
+// into the SQLite database. Run with STORAGE_BACKEND=sqlite.
+// Workers import their KV namespace into D1 from /setup/storage instead.
+import 'dotenv/config';
+import { migrateStorage } from '../src/storage.js';
+
+try {
+    await migrateStorage(process.env);
+} catch (error) {
+    console.error('Storage migration failed:', error.message);
+    process.exit(1);
+}
@@ -2,66 +2,487 @@
 import { serveStatic } from 'hono/cloudflare-workers';
 import { Hono } from 'hono';
 import { basicAuth } from 'hono/basic-auth';
+import { routePath } from 'hono/route';
 import { getConfig } from './config.worker.js';
 import { getEnv } from './env.js';
+import * as logger from './logger.js';
+import * as metrics from './metrics.js';
 import * as rdClient from './rdClient.js';
+import storage, { getBackendName, getMissingStorageBinding, migrateStorage } from './storage.js';
+import * as cache from './cache.js';
+import * as jobs from './jobs.js';
+import * as users from './users.js';
+import * as rdOAuth from './rdOAuth.js';
 import { getPublicIP } from './ipUtils.js';
+import { MagnetError, getMagnetLabel, getRequestMagnet } from './magnet.js';
+import { signUrl, verifySignedPath } from './signing.js';
+import { parseReleaseName, toSafeName, VIDEO_EXTENSIONS } from './releaseName.js';
+import { buildNfo, buildInfuseXml, SIDECAR_EXTENSIONS } from './metadata.js';
 import { serveAsset, getAssetsInDirectory } from './dynamic-assets.js';
+import { proxyMedia, getMediaMimeType } from './mediaProxy.js';
+import {
+    DAV_HEADERS, parseDepth, parsePropfind, propfindResponse, finiteDepthResponse,
+    parseLockInfo, parseTimeout, parseLockTokens, lockResponse, parseDestination, getPathSegments,
+} from './webdav.js';
 
 const app = new Hono();
 
 // --- Middleware ---
 
+// X-Request-Id from a proxy in front of the service is kept when it is safe to log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+/**
+ * Route label for metrics: the matched route pattern, e.g. /downloads/:month/, so the label set
+ * stays small. WebDAV methods handled for every path are labelled with their collection, e.g. /downloads/*
+ *
+ * @param {Object} c - Hono context
+ * @returns {string} Route label
+ */
+function getRouteLabel(c) {
+    const route = routePath(c);
+    if (route && route !== '*' && route !== '/*') return route;
+    const collection = SIGNED_PATHS.find(prefix => c.req.path.startsWith(prefix));
+    if (collection) return `${collection}*`;
+    return c.req.path === '/' ? '/' : '*';
+}
+
+// Request logging and metrics: assigns the request ID and logs method, path, WebDAV Depth, status,
+// latency and the upstream calls made for the request
+app.use('*', async (c, next) => {
+    const incoming = c.req.header('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    c.set('requestId', requestId);
+
+    await logger.runWithRequestContext(requestId, () => c.get('config'), async () => {
+        const startedAt = Date.now();
+        await next();
+        c.res.headers.set('X-Request-Id', requestId);
+
+        const depth = c.req.header('Depth');
+        const status = c.res.status;
+        logger[status >= 500 ? 'error' : 'info']('request', {
+            method: c.req.method,
+            path: c.req.path,
+            ...(depth !== undefined && { depth }),
+            status,
+            durationMs: Date.now() - startedAt,
+            upstream: logger.getUpstreamCalls(),
+            ...(c.error && { error: c.error }),
+        });
+        metrics.recordRequest(c.req.method, getRouteLabel(c), status, startedAt);
+    });
+});
+
 // Middleware to load config and validate
 app.use('*', async (c, next) => {
     // Universal environment accessor - works in both Node.js and Cloudflare Workers
     const env = getEnv(c);
     const config = getConfig(env);
 
-    if (!config.rdAccessToken || !config.webdavPassword) {
+    // In multi-user mode registered users may be the only users
+    if (!config.multiUser && !config.webdavPassword) {
         return c.text('Server configuration is invalid. Missing required environment variables.', 500);
     }
+    const missingBinding = getMissingStorageBinding(env);
+    if (missingBinding) {
+        logger.error(`Missing storage binding: ${missingBinding}`);
+        return c.text(`Server configuration is invalid. Bind the ${missingBinding} KV namespace (or the CAST_DB D1 database) in wrangler.toml.`, 500);
+    }
     c.set('config', config);
     await next();
 });
 
+// Signed URLs (?sig=…&exp=…) grant read-only access to these paths without Basic Auth
+const SIGNED_READ_METHODS = ['GET', 'HEAD', 'PROPFIND'];
+const SIGNED_PATHS = ['/downloads/', '/dmmcast/', '/manual/', '/torrents/', '/library/', '/play/'];
+
+/**
+ * Secret for signed URLs; defaults to the WebDAV password, so changing it revokes every signed URL
+ * Registered users' URLs are signed with a per-user secret and carry ?u={username}
+ */
+function getSigningSecret(config) {
+    const secret = config.signingSecret || config.webdavPassword;
+    return secret && config.userId ? `${secret}\n${config.userId}` : secret;
+}
+
+/**
+ * Public URL of a path on this service, for signed URLs handed to media players and apps
+ * Credentials in PUBLIC_URL (user:password@) are dropped: these URLs end up in media player
+ * databases and logs
+ *
+ * @param {Object} c - Hono context
+ * @param {string} pathname - Percent-encoded path, e.g. /play/abc
+ * @returns {URL} URL without credentials
+ */
+function getPublicUrl(c, pathname) {
+    const urlObj = new URL(c.get('config').publicUrl || new URL(c.req.url).origin);
+    urlObj.username = '';
+    urlObj.password = '';
+    urlObj.pathname = pathname;
+    return urlObj;
+}
+
+/**
+ * Make a user's configuration and storage namespace current for this request
+ *
+ * @param {Object} c - Hono context
+ * @param {Object} config - Configuration of the signed-in user
+ */
+function setUser(c, config) {
+    c.set('config', config);
+    c.set('storageNamespace', config.userId || null);
+}
+
+/**
+ * Check whether a request carries a valid signed URL for a read-only route
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Object|null>} Configuration of the user who signed the URL, or null if the request needs Basic Auth
+ */
+async function getSignedRequestConfig(c) {
+    const { sig, exp, u } = c.req.query();
+    const path = new URL(c.req.url).pathname;
+    if (!sig || !SIGNED_READ_METHODS.includes(c.req.method) || !SIGNED_PATHS.some(prefix => path.startsWith(prefix))) {
+        return null;
+    }
+
+    let config = c.get('config');
+    if (u) {
+        const user = config.multiUser ? await users.getUser(getEnv(c), u) : null;
+        if (!user) return null;
+        config = users.getUserConfig(config, user);
+    }
+
+    const secret = getSigningSecret(config);
+    return secret && await verifySignedPath(secret, path, sig, exp) ? config : null;
+}
+
+/**
+ * Check whether a request is allowed without credentials:
+ * health check, public static assets and WebDAV capability discovery
+ * The deep health check needs credentials: it calls RD and reports account details.
+ *
+ * @param {Object} c - Hono context
+ * @returns {boolean} True if the request skips auth
+ */
+function isPublicRequest(c) {
+    if (c.req.path === '/health' && c.req.query('deep')) return false;
+    const publicPaths = ['/health', '/style.css', '/public/'];
+    // /metrics checks its own credentials when METRICS_PASSWORD is set
+    const separateMetricsAuth = c.req.path === '/metrics' && !!c.get('config').metricsPassword;
+    return publicPaths.some(path => c.req.path === path || c.req.path.startsWith(path)) || c.req.method === 'OPTIONS' || separateMetricsAuth;
+}
+
 // Basic Auth Middleware - Protect ALL routes except /health and public assets
 app.use('*', async (c, next) => {
-    // Skip auth for health check and public static assets
-    const publicPaths = ['/health', '/style.css', '/public/'];
-    if (publicPaths.some(path => c.req.path === path || c.req.path.startsWith(path))) {
+    if (isPublicRequest(c)) {
+        return next();
+    }
+
+    const signedConfig = await getSignedRequestConfig(c);
+    if (signedConfig) {
+        setUser(c, signedConfig);
+        // Links in HTML listings and PROPFIND hrefs keep the signature so shared collections can be browsed
+        const { sig, exp, u } = c.req.query();
+        c.set('shareQuery', `?${new URLSearchParams(u ? { u, sig, exp } : { sig, exp })}`);
         return next();
     }
 
-    // Apply Basic Auth
+    // Apply Basic Auth; in multi-user mode the credentials select the user
     const config = c.get('config');
     return basicAuth({
-        verifyUser: (username, password, c) => {
-            return username === config.webdavUsername && password === config.webdavPassword;
+        verifyUser: async (username, password, c) => {
+            const userConfig = await users.authenticate(config, getEnv(c), username, password);
+            if (!userConfig) return false;
+            setUser(c, userConfig);
+            return true;
         },
+        // JSON API clients get the API error shape
+        invalidUserMessage: (c) => c.req.path.startsWith('/api/')
+            ? { error: { code: 'unauthorized', message: 'Unauthorized' } }
+            : 'Unauthorized',
     })(c, next);
 });
 
+// Real-Debrid OAuth credentials by user ID, so authenticated requests do not read storage each time.
+// Other processes or isolates see credentials saved elsewhere once their entry is older than this.
+const RD_CREDENTIALS_TTL_MS = 5 * 60 * 1000;
+// userId -> { credentials, loadedAt }
+const rdCredentialsCache = new Map();
+
+/**
+ * Real-Debrid OAuth credentials of the request's user, from this process's or isolate's cache
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Object|null>} Stored credentials
+ */
+async function getRdCredentials(c) {
+    const key = c.get('config').userId || '';
+    const cachedEntry = rdCredentialsCache.get(key);
+    if (cachedEntry && Date.now() - cachedEntry.loadedAt < RD_CREDENTIALS_TTL_MS) {
+        return cachedEntry.credentials;
+    }
+    const credentials = await storage.getRdCredentials(getEnv(c));
+    rdCredentialsCache.set(key, { credentials, loadedAt: Date.now() });
+    return credentials;
+}
+
+/**
+ * Save the request's user's Real-Debrid OAuth credentials and cache them
+ *
+ * @param {Object} c - Hono context
+ * @param {Object} credentials - Credentials to store
+ */
+async function saveRdCredentials(c, credentials) {
+    const key = c.get('config').userId || '';
+    rdCredentialsCache.delete(key);
+    await storage.saveRdCredentials(getEnv(c), credentials);
+    rdCredentialsCache.set(key, { credentials, loadedAt: Date.now() });
+}
+
+// Use the Real-Debrid OAuth token from /setup/rd when there is one; rdApiCall refreshes it on 401
+app.use('*', async (c, next) => {
+    if (isPublicRequest(c)) {
+        return next();
+    }
+
+    const config = c.get('config');
+    const env = getEnv(c);
+    try {
+        const credentials = await getRdCredentials(c);
+        if (credentials?.accessToken) {
+            config.rdAccessToken = credentials.accessToken;
+            config.refreshRdToken = async () => {
+                const stored = await storage.getRdCredentials(env) || credentials;
+                // Another process or isolate already refreshed the token this one was using
+                if (stored.accessToken && stored.accessToken !== config.rdAccessToken) {
+                    rdCredentialsCache.set(config.userId || '', { credentials: stored, loadedAt: Date.now() });
+                    config.rdAccessToken = stored.accessToken;
+                    return stored.accessToken;
+                }
+                const fresh = await rdOAuth.refreshCredentials(config, stored);
+                await saveRdCredentials(c, { ...stored, ...fresh });
+                config.rdAccessToken = fresh.accessToken;
+                return fresh.accessToken;
+            };
+        }
+    } catch (error) {
+        logger.error('Error loading Real-Debrid OAuth credentials', error);
+    }
+    await next();
+});
+
+// Listings served from a snapshot while RD or DMM is down are marked stale for WebDAV and API clients
+app.use('*', async (c, next) => {
+    await next();
+    if (c.get('stale')?.length) {
+        c.res.headers.set('Warning', '110 - "Response is Stale"');
+    }
+});
+
+// HEAD requests are answered by the GET handlers; report the length of the body they would send
+app.use('*', async (c, next) => {
+    await next();
+    if (c.req.method === 'HEAD' && c.res.body && !c.res.headers.has('Content-Length')) {
+        const body = await c.res.arrayBuffer();
+        c.res = new Response(body, c.res);
+        c.res.headers.set('Content-Length', String(body.byteLength));
+    }
+});
+
+// Warn on every HTML page when Real-Debrid premium ends soon
+app.use('*', async (c, next) => {
+    await next();
+    if (isPublicRequest(c) || !['GET', 'HEAD'].includes(c.req.method) || c.res.status !== 200 ||
+        !c.res.headers.get('Content-Type')?.startsWith('text/html')) {
+        return;
+    }
+
+    // Pages work without the account, e.g. before Real-Debrid is connected
+    const user = await getCachedAccount(c);
+    const warning = user && premiumWarning(user);
+    if (warning) {
+        const html = await c.res.text();
+        c.res = new Response(html.replace('<article>', `<article>${warning}`), c.res);
+    }
+});
+
 
 import { layout, statusHeader, pageHeader, footer, formatBytes } from './html.js';
 
+// --- Upstream Snapshots ---
+// The last good RD and DMM listings are kept in storage and served while the upstream is down,
+// so media players never see empty folders and prune their library
+
+const UPSTREAMS = {
+    downloads: 'Real-Debrid',
+    history: 'Real-Debrid',
+    torrents: 'Real-Debrid',
+    dmmcast: 'Debrid Media Manager',
+};
+
+// After a failure, serve the snapshot without calling the upstream again for this long
+const UPSTREAM_RETRY_MS = 30 * 1000;
+// "{userId}/{collection}" -> time of the last failure seen by this process or isolate
+const upstreamFailures = new Map();
+
+function getUpstreamFailureKey(c, collection) {
+    return `${c.get('config').userId || ''}/${collection}`;
+}
+
 /**
- * Fetch casted links from Debrid Media Manager API
- * Returns items from last 7 days, sorted by most recent
+ * Persist a successful upstream listing as the collection's snapshot
+ * Storage is only written when the listing or the failure state changed
+ *
+ * @param {Object} c - Hono context
+ * @param {string} collection - Collection name (key of UPSTREAMS)
+ * @param {*} items - Upstream response
  */
-async function getCastedLinks(config) {
+async function saveSnapshot(c, collection, items) {
+    upstreamFailures.delete(getUpstreamFailureKey(c, collection));
     try {
-        const response = await fetch(`https://debridmediamanager.com/api/stremio/links?token=${config.rdAccessToken}`);
-        if (!response.ok) {
-            console.error('Failed to fetch casted links:', response.statusText);
-            return [];
+        const env = getEnv(c);
+        const existing = await storage.getSnapshot(env, collection);
+        if (existing && !existing.failingSince && JSON.stringify(existing.items) === JSON.stringify(items)) {
+            return;
+        }
+        await storage.saveSnapshot(env, collection, { items, savedAt: new Date().toISOString(), failingSince: null, error: null });
+    } catch (error) {
+        logger.error(`Error saving ${collection} snapshot`, error);
+    }
+}
+
+/**
+ * Load an upstream listing, falling back to the collection's snapshot when the upstream fails
+ * The request is marked stale (c.get('stale')) whenever the snapshot is served
+ *
+ * @param {Object} c - Hono context
+ * @param {string} collection - Collection name (key of UPSTREAMS)
+ * @param {Function} load - Async function fetching the listing (and saving the snapshot)
+ * @returns {Promise<*>} Fresh listing or snapshot items
+ * @throws When the upstream fails and there is no snapshot
+ */
+async function withSnapshotFallback(c, collection, load) {
+    const env = getEnv(c);
+    const lastFailure = upstreamFailures.get(getUpstreamFailureKey(c, collection));
+    let failure = null;
+
+    if (!lastFailure || Date.now() - lastFailure > UPSTREAM_RETRY_MS) {
+        try {
+            return await load();
+        } catch (error) {
+            logger.warn(`${UPSTREAMS[collection]} unavailable, serving ${collection} snapshot`, error);
+            upstreamFailures.set(getUpstreamFailureKey(c, collection), Date.now());
+            failure = error;
         }
+    }
 
-        const data = await response.json();
-        if (!Array.isArray(data)) {
-            console.error('Invalid response from DMM API');
-            return [];
+    let snapshot = null;
+    try {
+        snapshot = await storage.getSnapshot(env, collection);
+        // Record the outage once, for /health
+        if (failure && !snapshot?.failingSince) {
+            snapshot = { items: null, savedAt: null, ...snapshot, failingSince: new Date().toISOString(), error: failure.message };
+            await storage.saveSnapshot(env, collection, snapshot);
         }
+    } catch (error) {
+        logger.error(`Error loading ${collection} snapshot`, error);
+    }
+
+    if (!snapshot?.items) {
+        throw failure || new Error(`${UPSTREAMS[collection]} unavailable`);
+    }
+    c.set('stale', [...(c.get('stale') || []), { collection, savedAt: snapshot.savedAt }]);
+    return snapshot.items;
+}
+
+/**
+ * Banner for HTML pages showing snapshot data
+ *
+ * @param {Object} c - Hono context
+ * @returns {string|null} Warning message, or null if every listing is fresh
+ */
+function getStaleWarning(c) {
+    const stale = c.get('stale');
+    if (!stale || stale.length === 0) return null;
+    return stale.map(({ collection, savedAt }) =>
+        `${UPSTREAMS[collection]} is unavailable: showing the last listing from <code>${new Date(savedAt).toUTCString()}</code>`,
+    ).join('<br>');
+}
+
+/**
+ * Storage entry ID of a DMM cast
+ *
+ * @param {string} hash - Torrent infohash
+ * @param {string} imdbId - IMDb ID
+ * @returns {string} Storage entry ID
+ */
+function getDMMCastStrmId(hash, imdbId) {
+    return `dmm-${hash}-${imdbId}`;
+}
+
+/**
+ * Token identifying the user to Debrid Media Manager
+ * DMM identifies users by their RD token unless a registered user has a separate DMM token
+ *
+ * @param {Object} config - Configuration object
+ * @returns {string} DMM token
+ */
+function getDMMToken(config) {
+    return config.dmmToken || config.rdAccessToken;
+}
+
+const DMM_API_BASE = 'https://debridmediamanager.com/api/stremio';
+
+/**
+ * Call the Debrid Media Manager API
+ * The token travels in the query string or body, so only the path is recorded in the logs.
+ *
+ * @param {string} path - API path, e.g. /links
+ * @param {Object} [query={}] - Query parameters
+ * @param {Object} [options={}] - fetch options
+ * @returns {Promise<Response>} DMM API response
+ */
+async function dmmFetch(path, query = {}, options = {}) {
+    const method = options.method || 'GET';
+    const search = new URLSearchParams(query).toString();
+    const startedAt = Date.now();
+    try {
+        const response = await fetch(`${DMM_API_BASE}${path}${search ? `?${search}` : ''}`, options);
+        logger.recordUpstream('dmm', method, path, response.status, startedAt);
+        metrics.recordUpstream('dmm', path, response.status, startedAt);
+        return response;
+    } catch (error) {
+        logger.recordUpstream('dmm', method, path, null, startedAt);
+        metrics.recordUpstream('dmm', path, null, startedAt);
+        throw error;
+    }
+}
+
+/**
+ * Fetch casted links from Debrid Media Manager API
+ * Returns items from last 7 days, sorted by most recent
+ * Serves the last snapshot when DMM is unavailable
+ *
+ * @param {Object} c - Hono context
+ * @param {Object} [displayNames={}] - Display-name overrides from getDisplayNames
+ */
+async function getCastedLinks(c, displayNames = {}) {
+    const config = c.get('config');
+    try {
+        const data = await withSnapshotFallback(c, 'dmmcast', () => cache.cached(cache.userGroup('dmm-casts', config), config.cacheTtlSeconds, async () => {
+            const response = await dmmFetch('/links', { token: getDMMToken(config) });
+            if (!response.ok) {
+                throw new Error(`Failed to fetch casted links: ${response.status} ${response.statusText}`);
+            }
+            const links = await response.json();
+            if (!Array.isArray(links)) {
+                throw new Error('Invalid response from DMM API');
+            }
+            await saveSnapshot(c, 'dmmcast', links);
+            return links;
+        }));
 
         // Filter for items from last 7 days
         const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
@@ -91,140 +512,230 @@ async function getCastedLinks(config) {
                 }
             }
 
+            // A name set via WebDAV MOVE replaces the filename, keeping the encoding for DELETE
+            const displayName = displayNames[getDMMCastStrmId(link.hash, link.imdbId)]?.name || null;
+
             return {
                 url: link.url || '#',
+                link: link.link,        // Original RD link, if DMM provides one
                 filename: filename,
-                strmFilename: `${filename}{hash-${link.hash}}{imdb-${link.imdbId}}.strm`,
+                displayName: displayName,
+                strmFilename: `${displayName || filename}{hash-${link.hash}}{imdb-${link.imdbId}}.strm`,
                 sizeGB: link.size ? (Math.round(link.size / 1024 * 10) / 10).toFixed(1) : '0.0', // Convert MB to GB, 1 decimal
+                filesize: link.size ? Math.round(link.size * 1024 * 1024) : 0, // Convert MB to bytes
                 updatedAt: link.updatedAt,
                 imdbId: link.imdbId,  // For deletion support
                 hash: link.hash,       // For deletion support
             };
         });
     } catch (error) {
-        console.error('Error fetching casted links:', error.message);
+        logger.error('Error fetching casted links', error);
         return [];
     }
 }
 
 /**
- * Fetch Real-Debrid download links for home page display
- * Returns ONLY RD downloads (not DMM links), max 10 items
+ * Delete a casted link via the Debrid Media Manager API
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} hash - Torrent infohash
+ * @param {string} imdbId - IMDb ID
+ * @returns {Promise<Response>} DMM API response
  */
-async function getRealDebridDownloads(config) {
-    try {
-        // Fetch 20 downloads to account for potential duplicates
-        const downloads = await rdClient.getDownloadsList(config, 20);
-        const sortedDownloads = (downloads || []).sort((a, b) => new Date(b.generated) - new Date(a.generated));
+async function deleteCastedLink(config, hash, imdbId) {
+    logger.info(`Deleting DMM cast: imdbId=${imdbId}, hash=${hash}`);
+    const response = await dmmFetch('/deletelink', {}, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            token: getDMMToken(config),
+            imdbId: imdbId,
+            hash: hash,
+        }),
+    });
+    if (response.ok) {
+        await cache.invalidate(cache.userGroup('dmm-casts', config));
+    }
+    return response;
+}
 
-        // Deduplicate by ID, keeping only the most recent occurrence
-        const seenIds = new Set();
-        const uniqueDownloads = [];
-        for (const download of sortedDownloads) {
-            if (!seenIds.has(download.id)) {
-                seenIds.add(download.id);
-                uniqueDownloads.push(download);
-                // Stop after collecting 10 unique items
-                if (uniqueDownloads.length >= 10) break;
+// Downloads per request when loading the full history for the month folders
+const DOWNLOAD_HISTORY_PAGE_SIZE = 1000;
+// The full history takes one RD call per page and is listed on every /downloads/ PROPFIND, so it is
+// kept much longer than the other listings; adds and deletes through this service still drop it
+const DOWNLOAD_HISTORY_CACHE_TTL_SECONDS = 60 * 60;
+
+// Month folders of the download history: /downloads/YYYY-MM/
+const DOWNLOAD_MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Fetch a page of Real-Debrid downloads (DOWNLOADS_LIMIT per page) through the response cache
+ * The first page is served from the last snapshot when Real-Debrid is unavailable
+ *
+ * @param {Object} c - Hono context
+ * @param {number} [page=1] - Page number, most recent downloads first
+ * @returns {Promise<{downloads: Array, totalCount: number}>} RD downloads and the size of the
+ *     whole history (shared with other callers; do not modify)
+ */
+async function getCachedDownloadsList(c, page = 1) {
+    const config = c.get('config');
+    const limit = config.downloadsLimit;
+    const load = () => cache.cached(`${cache.userGroup('rd-downloads', config)}:${limit}:${page}`, config.cacheTtlSeconds, async () => {
+        const result = await rdClient.getDownloadsList(config, limit, { page });
+        if (page === 1) await saveSnapshot(c, 'downloads', result);
+        return result;
+    });
+
+    const result = page === 1 ? await withSnapshotFallback(c, 'downloads', load) : await load();
+    // Snapshots saved before pagination hold the bare list
+    return Array.isArray(result) ? { downloads: result, totalCount: result.length } : result;
+}
+
+/**
+ * Fetch the whole Real-Debrid download history through the response cache
+ * Served from the last snapshot when Real-Debrid is unavailable
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Array>} Every RD download with id, filename, filesize, link, download and
+ *     generated (shared with other callers; do not modify)
+ */
+async function getDownloadHistory(c) {
+    const config = c.get('config');
+    const ttl = config.cacheTtlSeconds > 0 ? Math.max(config.cacheTtlSeconds, DOWNLOAD_HISTORY_CACHE_TTL_SECONDS) : 0;
+    return withSnapshotFallback(c, 'history', () => cache.cached(`${cache.userGroup('rd-downloads', config)}:history`, ttl, async () => {
+        const history = [];
+        for (let page = 1; ; page++) {
+            const { downloads, totalCount } = await rdClient.getDownloadsList(config, DOWNLOAD_HISTORY_PAGE_SIZE, { page });
+            // Only what the month folders need, so the snapshot stays small
+            history.push(...downloads.map(({ id, filename, filesize, link, download, generated }) => ({ id, filename, filesize, link, download, generated })));
+            if (downloads.length < DOWNLOAD_HISTORY_PAGE_SIZE || history.length >= totalCount) {
+                break;
             }
         }
+        await saveSnapshot(c, 'history', history);
+        return history;
+    }));
+}
 
-        // Format for home page display
-        return uniqueDownloads.map(download => ({
-            filename: download.filename,
-            filesize: download.filesize || 0,
-            downloadUrl: download.download,
-        }));
+/**
+ * Month folder of a download, from the time it was generated (UTC)
+ *
+ * @param {Object} download - RD download
+ * @returns {string} Month, e.g. 2026-10
+ */
+function getDownloadMonth(download) {
+    return new Date(download.generated).toISOString().slice(0, 7);
+}
+
+/**
+ * Get the month folders of the download history, most recent first
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Array>} Folders with name (YYYY-MM), modified and fileCount
+ */
+async function getDownloadMonths(c) {
+    try {
+        const months = new Map();
+        for (const download of await getDownloadHistory(c)) {
+            const name = getDownloadMonth(download);
+            const month = months.get(name) || { name, modified: download.generated, fileCount: 0 };
+            if (new Date(download.generated) > new Date(month.modified)) month.modified = download.generated;
+            month.fileCount++;
+            months.set(name, month);
+        }
+        return [...months.values()].sort((a, b) => b.name.localeCompare(a.name));
     } catch (error) {
-        console.error('Error fetching RD downloads:', error.message);
+        logger.error('Error fetching RD download history', error);
         return [];
     }
 }
 
+/**
+ * Fetch Real-Debrid download links for page display
+ * Returns ONLY RD downloads (not DMM links), DOWNLOADS_LIMIT items per page
+ *
+ * @param {Object} c - Hono context
+ * @param {number} [page=1] - Page number, most recent downloads first
+ * @returns {Promise<{downloads: Array, totalCount: number}>} Downloads on the page and the size of the whole history
+ */
+async function getRealDebridDownloads(c, page = 1) {
+    try {
+        const { downloads, totalCount } = await getCachedDownloadsList(c, page);
+        const sortedDownloads = [...downloads].sort((a, b) => new Date(b.generated) - new Date(a.generated));
 
-// --- Core Logic Helpers ---
-
-function getAutoSelectFile(files) {
-    if (!files || files.length === 0) return null;
-    if (files.length === 1) return files[0];
-
-    const TWO_MB = 2 * 1024 * 1024;
-    const largeFiles = files.filter(f => (f.bytes || f.size || 0) > TWO_MB);
+        // Deduplicate by ID, keeping only the most recent occurrence
+        const seenIds = new Set();
+        const uniqueDownloads = sortedDownloads.filter(download => {
+            if (seenIds.has(download.id)) return false;
+            seenIds.add(download.id);
+            return true;
+        });
 
-    if (largeFiles.length === 1) {
-        console.log(`Auto-selecting only large file (${formatBytes(largeFiles[0].bytes || largeFiles[0].size)})`);
-        return largeFiles[0];
+        // Format for page display
+        return {
+            downloads: uniqueDownloads.map(download => ({
+                filename: download.filename,
+                filesize: download.filesize || 0,
+                downloadUrl: download.download,
+            })),
+            totalCount,
+        };
+    } catch (error) {
+        logger.error('Error fetching RD downloads', error);
+        return { downloads: [], totalCount: 0 };
     }
-    return null;
 }
 
+// --- Core Logic Helpers ---
+
 /**
- * Process a magnet link or infohash
+ * Render the HTML content for an add-magnet job in its current state
  *
- * @param {Object} c - Hono context
- * @param {string} magnetOrHash - Magnet link or infohash
- * @param {string|null} [userIP=null] - Optional user IP for RD geolocation
- * @returns {Promise<Response>} Hono response
+ * @param {Object} job - Job from jobs.js
+ * @returns {string} HTML content
  */
-async function processMagnet(c, magnetOrHash, userIP = null) {
-    const config = c.get('config');
-    console.log('Adding magnet/hash:', magnetOrHash.substring(0, 50) + '...');
-    if (userIP) {
-        console.log('User IP for RD routing:', userIP);
+function jobContent(job) {
+    if (job.state === 'error') {
+        return `
+		${statusHeader(`Failed to cast: ${job.error}`)}
+		<form method="POST" action="/add">
+			<input type="text" name="magnet" placeholder="magnet:?xt=urn:btih:... or infohash" required autofocus>
+			<button type="submit">Add Magnet Link</button>
+		</form>
+		${footer()}
+	`;
     }
 
-    const addResult = await rdClient.addTorrent(config, magnetOrHash);
-    const torrentId = addResult.id;
-    console.log('Torrent added with ID:', torrentId);
-
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    const torrentInfo = await rdClient.getTorrentInfo(config, torrentId);
-    console.log('Torrent status:', torrentInfo.status);
-
-    if (torrentInfo.status === 'waiting_files_selection') {
-        const fileToSelect = getAutoSelectFile(torrentInfo.files);
-        if (fileToSelect) {
-            return processSelectedFile(c, torrentId, fileToSelect.id.toString(), userIP);
-        }
-        else {
-            const content = `
-				${pageHeader('Select File to Cast', torrentInfo.filename || 'Multiple files found')}
+    if (job.state === 'selecting') {
+        return `
+				${pageHeader('Select Files to Cast', job.filename || 'Multiple files found')}
 				<form method="POST" action="/add/select">
-					<input type="hidden" name="torrentId" value="${torrentId}">
-					${torrentInfo.files.map((file, idx) => `
+					<input type="hidden" name="torrentId" value="${job.torrentId}">
+					${job.files.map((file, idx) => `
 					<label>
-						<input type="radio" name="fileId" value="${file.id}" ${idx === 0 ? 'checked' : ''} required>
+						<input type="checkbox" name="fileId" value="${file.id}" ${idx === 0 ? 'checked' : ''}>
 						${file.name || file.path} <code>${formatBytes(file.size || file.bytes || 0)}</code>
 					</label>
 					`).join('')}
-					<button type="submit" style="margin-top: 1rem;">Cast Selected File</button>
+					<button type="submit" style="margin-top: 1rem;">Cast Selected Files</button>
+					<button type="submit" name="select" value="videos" class="secondary">Cast All Videos</button>
 				</form>
 			`;
-            return c.html(layout('Select File', content));
-        }
     }
 
-    if (!torrentInfo.links || torrentInfo.links.length === 0) {
-        throw new Error('No links available for torrent');
-    }
-
-    const originalLink = torrentInfo.links[0];
-    const unrestrictedUrl = await rdClient.unrestrictLink(config, originalLink, userIP);
-
-    // Get the selected file's name from the files array
-    const selectedFile = torrentInfo.files?.find(f => f.selected === 1);
-    const filename = selectedFile ? (selectedFile.path || selectedFile.name) : torrentInfo.filename;
-    const size = selectedFile ? (selectedFile.bytes || selectedFile.size) : torrentInfo.bytes;
-
-    await rdClient.deleteTorrent(config, torrentInfo.id);
-    const content = `
+    if (job.state === 'done') {
+        const { folder, files } = job.result;
+        const webdavPath = folder ? `/manual/${encodeURIComponent(folder)}/` : '/manual/';
+        return `
 		${statusHeader(null, 'Media ready to cast')}
 		<div>
-			<p>infohash: <code>${torrentInfo.hash}</code></p>
+			<p>infohash: <code>${job.hash}</code></p>
             <ul>
-                <li>${filename || torrentInfo.hash.substring(0, 8) + '...'} <small><code>${formatBytes(size || 0)}</code></small></li>
+                ${files.map(file => `
+                <li>${file.filename || job.hash.substring(0, 8) + '...'} <small><code>${formatBytes(file.filesize || 0)}</code></small></li>
+                `).join('')}
             </ul>
+            <p><small>WebDAV: <a href="${webdavPath}"><code>${folder ? `/manual/${folder}/` : '/manual/'}</code></a></small></p>
 		</div>
 		<form method="POST" action="/add">
 			<input type="text" name="magnet" placeholder="magnet:?xt=urn:btih:... or infohash" required autofocus>
@@ -232,67 +743,206 @@ async function processMagnet(c, magnetOrHash, userIP = null) {
 		</form>
 		${footer()}
 	`;
-    return c.html(layout('Add Magnet', content));
+    }
+
+    // pending or unrestricting: show live progress
+    const status = job.status ? job.status.replace(/_/g, ' ') : 'adding';
+    return `
+		${pageHeader('Preparing Media', job.filename || (job.hash ? `infohash: <code>${job.hash}</code>` : 'Waiting for Real-Debrid'))}
+		<div>
+			<p>status: <code>${status}</code> · <code>${job.progress || 0}%</code></p>
+			<progress value="${job.progress || 0}" max="100"></progress>
+			<p><small>This page refreshes automatically. The link will be added to <a href="/manual/"><code>/manual/</code></a> when Real-Debrid has finished.</small></p>
+		</div>
+		${footer()}
+	`;
 }
 
 /**
- * Process a selected file from a multi-file torrent
+ * Respond to an add request with the job's current state
+ * Pending jobs continue in the background and redirect to /jobs/:id
  *
  * @param {Object} c - Hono context
- * @param {string} torrentId - Real-Debrid torrent ID
- * @param {string} fileId - Selected file ID
- * @param {string|null} [userIP=null] - Optional user IP for RD geolocation
- * @returns {Promise<Response>} Hono response
+ * @param {Object} job - Job from jobs.js
+ * @returns {Response} Hono response
  */
-async function processSelectedFile(c, torrentId, fileId, userIP = null) {
-    const config = c.get('config');
-    console.log('File selected:', fileId, 'for torrent:', torrentId);
-    if (userIP) {
-        console.log('User IP for RD routing:', userIP);
+function respondWithJob(c, job) {
+    if (job.state === 'error') {
+        throw new Error(job.error);
     }
 
-    await rdClient.selectFiles(config, torrentId, fileId);
-    console.log('File selected successfully');
-
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    const updatedInfo = await rdClient.getTorrentInfo(config, torrentId);
-
-    if (!updatedInfo.links || updatedInfo.links.length === 0) {
-        throw new Error('No links available after file selection');
+    if (job.state === 'pending' || job.state === 'unrestricting') {
+        jobs.pollJobInBackground(c.get('config'), getEnv(c), job.id);
+        return c.redirect(`/jobs/${job.id}`, 303);
     }
 
-    const originalLink = updatedInfo.links[0];
-    const unrestrictedUrl = await rdClient.unrestrictLink(config, originalLink, userIP);
+    return c.html(layout(job.state === 'selecting' ? 'Select File' : 'Add Magnet', jobContent(job)));
+}
 
-    const selectedFile = updatedInfo.files.find(f => f.id.toString() === fileId.toString() && f.selected === 1);
-    const filename = selectedFile ? (selectedFile.path || selectedFile.name) : updatedInfo.filename;
-    const size = selectedFile ? (selectedFile.bytes || selectedFile.size) : updatedInfo.bytes;
+/**
+ * Add a magnet link, infohash or uploaded .torrent file to Real-Debrid as a new job
+ *
+ * @param {Object} c - Hono context
+ * @param {string|File} magnetOrHash - Magnet link or infohash, or an uploaded .torrent file
+ * @param {string|null} [userIP=null] - Optional user IP for RD geolocation
+ * @returns {Promise<Object>} New job, not yet advanced
+ */
+async function addMagnet(c, magnetOrHash, userIP = null) {
+    const isTorrentFile = typeof magnetOrHash !== 'string';
+    logger.info(isTorrentFile
+        ? `Adding .torrent file: ${magnetOrHash.name} (${magnetOrHash.size} bytes)`
+        : `Adding magnet: ${getMagnetLabel(magnetOrHash)}`);
+    if (userIP) {
+        logger.debug(`User IP for RD routing: ${userIP}`);
+    }
+    if (isTorrentFile && magnetOrHash.size === 0) {
+        throw new Error(`${magnetOrHash.name} is empty`);
+    }
+    if (isTorrentFile && magnetOrHash.size > MAX_TORRENT_FILE_BYTES) {
+        const toMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        throw new Error(`${magnetOrHash.name} is too large for a .torrent file (${toMB(magnetOrHash.size)}, at most ${toMB(MAX_TORRENT_FILE_BYTES)})`);
+    }
 
-    await rdClient.deleteTorrent(config, torrentId);
+    const source = isTorrentFile ? await magnetOrHash.arrayBuffer() : magnetOrHash;
+    return jobs.createJob(c.get('config'), getEnv(c), source, userIP);
+}
 
-    const content = `
-		${statusHeader(null, 'Media ready to cast')}
-		<div>
-			<p>infohash: <code>${updatedInfo.hash}</code></p>
-            <ul>
-                <li>${filename || updatedInfo.hash.substring(0, 8) + '...'} <small><code>${formatBytes(size || 0)}</code></small></li>
-            </ul>
-		</div>
-		<form method="POST" action="/add">
-			<input type="text" name="magnet" placeholder="magnet:?xt=urn:btih:... or infohash" required autofocus>
-			<button type="submit">Add Magnet Link</button>
-		</form>
+/**
+ * Process a magnet link, infohash or uploaded .torrent file
+ * Cached torrents usually finish within the few status checks made before responding.
+ *
+ * @param {Object} c - Hono context
+ * @param {string|File} magnetOrHash - Magnet link or infohash, or an uploaded .torrent file
+ * @param {string|null} [userIP=null] - Optional user IP for RD geolocation
+ * @param {Function} [respond=respondWithJob] - Builds the response for the job (HTML or JSON)
+ * @returns {Promise<Response>} Hono response
+ */
+async function processMagnet(c, magnetOrHash, userIP = null, respond = respondWithJob) {
+    const job = await addMagnet(c, magnetOrHash, userIP);
+    return respond(c, await jobs.settleJob(c.get('config'), getEnv(c), job));
+}
+
+// Largest .torrent file accepted for upload; real ones are a few hundred KB at most
+const MAX_TORRENT_FILE_BYTES = 10 * 1024 * 1024;
+// Items of a batch add processed at the same time
+const BATCH_CONCURRENCY = 4;
+// Most items in one batch add (each one takes several Real-Debrid calls)
+const MAX_BATCH_ITEMS = 50;
+
+/**
+ * Split the batch textarea into magnet links and infohashes, one per line
+ *
+ * @param {string} text - Textarea value
+ * @returns {Array<string>} Distinct non-empty lines
+ */
+function parseBatchInput(text) {
+    return [...new Set((text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean))];
+}
+
+/**
+ * Add several magnets, infohashes and .torrent files as jobs
+ * Jobs are not waited on, so the request stays short; they advance in the background (Node.js)
+ * or from their /jobs/:id page. A failed item does not stop the others.
+ *
+ * @param {Object} c - Hono context
+ * @param {Array<string|File>} items - Magnet links, infohashes and uploaded .torrent files
+ * @param {string|null} [userIP=null] - Optional user IP for RD geolocation
+ * @returns {Promise<Array<Object>>} Results in input order: { label, job } or { label, error }
+ */
+async function processBatch(c, items, userIP = null) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            const item = items[index];
+            // Display names of magnets are shown until Real-Debrid reports the torrent name
+            const label = typeof item === 'string' ? getMagnetLabel(item) : item.name;
+            try {
+                const job = await addMagnet(c, item, userIP);
+                jobs.pollJobInBackground(c.get('config'), getEnv(c), job.id);
+                results[index] = { label, job };
+            } catch (error) {
+                logger.error(`Error adding ${label}`, error);
+                results[index] = { label, error: error.message };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Render the summary of a batch add
+ *
+ * @param {Array<Object>} results - Results from processBatch
+ * @returns {string} HTML content
+ */
+function batchContent(results) {
+    const failed = results.filter(r => r.error).length;
+
+    const rows = results.map(({ label, job, error }) => {
+        const status = error
+            ? `<span class="status-badge error">ERROR</span> <small><code>${error}</code></small>`
+            : `<span class="status-badge success">ADDED</span> <small><a href="/jobs/${job.id}">progress</a></small>`;
+        const name = job?.filename || (label.length > 60 ? `${label.substring(0, 60)}...` : label);
+        return `
+				<tr><td><small>${name}</small></td><td>${status}</td></tr>`;
+    }).join('');
+
+    return `
+		${pageHeader('Cast Magnet Link: Add', `${results.length - failed} added · ${failed} failed`)}
+		<table>
+			<thead><tr><th>Item</th><th>Status</th></tr></thead>
+			<tbody>${rows}
+			</tbody>
+		</table>
+		<p><small>Open an item's progress page to follow it or to select files of a multi-file torrent. Finished items are added to <a href="/manual/"><code>/manual/</code></a>.</small></p>
 		${footer()}
 	`;
-    return c.html(layout('Add Magnet', content));
+}
+
+/**
+ * Process a selected file from a multi-file torrent
+ *
+ * @param {Object} c - Hono context
+ * @param {string} torrentId - Real-Debrid torrent ID
+ * @param {string} fileIds - Comma-separated selected file IDs, or 'videos' for every video file
+ * @param {string|null} [userIP=null] - Optional user IP for RD geolocation
+ * @param {Function} [respond=respondWithJob] - Builds the response for the job (HTML or JSON)
+ * @returns {Promise<Response>} Hono response
+ */
+async function processSelectedFile(c, torrentId, fileIds, userIP = null, respond = respondWithJob) {
+    const config = c.get('config');
+    const env = getEnv(c);
+    logger.info(`Files selected: ${fileIds} for torrent: ${torrentId}`);
+    if (userIP) {
+        logger.debug(`User IP for RD routing: ${userIP}`);
+    }
+
+    const job = await jobs.getJob(env, torrentId);
+    if (!job) {
+        throw new Error('Add job not found or expired');
+    }
+    if (job.state !== 'selecting') {
+        return respond(c, job);
+    }
+
+    if (fileIds === 'videos') {
+        fileIds = jobs.getVideoFileIds(job.files);
+        if (!fileIds) {
+            throw new Error('No video files found in torrent');
+        }
+    }
+
+    const updated = await jobs.selectJobFiles(config, env, job, fileIds);
+    return respond(c, await jobs.settleJob(config, env, updated));
 }
 
 
 // --- Routes ---
 
 app.get('/', async (c) => {
-    const config = c.get('config');
     const hostname = new URL(c.req.url).origin;
 
     // Check for 'add' query parameter to auto-add magnet/infohash
@@ -301,9 +951,9 @@ app.get('/', async (c) => {
         try {
             // Extract user IP for RD geolocation
             const userIP = getPublicIP(c);
-            return await processMagnet(c, magnetOrHash, userIP);
+            return await processMagnet(c, getRequestMagnet(c.req.url, magnetOrHash), userIP);
         } catch (err) {
-            console.error('Error auto-adding magnet:', err.message);
+            logger.error('Error auto-adding magnet', err);
             const content = `
 				${statusHeader(`Failed to cast: ${err.message}`)}
 				<form method="POST" action="/add">
@@ -317,13 +967,13 @@ app.get('/', async (c) => {
     }
 
     // Fetch Real-Debrid download links only for "Most Recent Download Links"
-    const rdDownloads = await getRealDebridDownloads(config);
+    const { downloads: rdDownloads } = await getRealDebridDownloads(c);
 
     // Get casted links from DMM API for "Most Recent Casted Links"
-    const castedLinks = await getCastedLinks(config);
+    const castedLinks = await getCastedLinks(c, await getDisplayNames(c));
 
     const content = `
-		${statusHeader()}
+		${statusHeader(null, null, undefined, undefined, getStaleWarning(c))}
 		${rdDownloads && rdDownloads.length > 0 ? `
 		<div class="status-info">
 			<h3>Most Recent Download Links</h3>
@@ -359,7 +1009,7 @@ app.get('/', async (c) => {
 			<ul>
 				${castedLinks.map(link => `
 				<li>
-                    ${link.filename}
+                    ${getDisplayFilename(link.filename, link.displayName)}
                     <small class="nowrap">
                         <a href="${link.url}" target="_blank"><code>${link.sizeGB} GB</code></a>
                         &nbsp;<a href="/dmmcast/${encodeURIComponent(link.strmFilename).replace(/%7B/g, '{').replace(/%7D/g, '}')}"><code>1 KB .strm</code></a>
@@ -385,10 +1035,20 @@ app.get('/add', (c) => {
 			<input type="text" name="magnet" placeholder="magnet:?xt=urn:btih:... or infohash" required autofocus>
 			<button type="submit">Add Magnet Link</button>
 		</form>
+		<h3>Add Several</h3>
+		<form method="POST" action="/add" enctype="multipart/form-data">
+			<textarea name="magnets" rows="5" placeholder="one magnet link or infohash per line"></textarea>
+			<label>
+				.torrent files
+				<input type="file" name="torrent" accept=".torrent,application/x-bittorrent" multiple>
+			</label>
+			<button type="submit">Add All</button>
+		</form>
         <small>
             <p style="margin-top: 2rem;">Redirecting a magnet link to this page will automatically create a new download link:</p>
             <p>magnet link: <code>magnet:\?xt=urn:btih:{infohash}</code>
             <br />automatically add magnet link: <code>${hostname}/add/{magnet link}</code>
+            <br />the magnet link may be URL-encoded or not; its name and trackers are kept
             <br />automatically add infohash: <code>${hostname}/add/{info hash}</code></p>
 
             <p style="margin-top: 2rem;">A browser extension like <a href="https://apple.co/4e0lkPG">StopTheMadness Pro</a> that supports <a href="https://underpassapp.com/StopTheMadness/Pro/Docs/Redirects.html">URL redirect rules</a> can redirect magnet links to this page:</p>
@@ -401,8 +1061,24 @@ app.get('/add', (c) => {
 });
 
 app.post('/add', async (c) => {
-    const body = await c.req.parseBody();
-    const magnet = body.magnet;
+    const body = await c.req.parseBody({ all: true });
+    const magnet = [].concat(body.magnet || [])[0];
+
+    // Batch form: magnets and infohashes from the textarea, then the uploaded .torrent files
+    const torrentFiles = [].concat(body.torrent || []).filter(file => typeof file !== 'string' && file.size > 0);
+    const batch = [...parseBatchInput([].concat(body.magnets || []).join('\n')), ...torrentFiles];
+    if (!magnet && batch.length > 0) {
+        if (batch.length > MAX_BATCH_ITEMS) {
+            const content = `
+				${statusHeader(`Failed to cast: at most ${MAX_BATCH_ITEMS} items can be added at once (got ${batch.length})`)}
+				${footer()}
+			`;
+            return c.html(layout('Error', content), 400);
+        }
+        const results = await processBatch(c, batch, getPublicIP(c));
+        return c.html(layout('Add Magnet', batchContent(results)));
+    }
+
     if (!magnet) {
         const content = `
 			${statusHeader('Please provide a magnet link or infohash')}
@@ -419,7 +1095,7 @@ app.post('/add', async (c) => {
         const userIP = getPublicIP(c);
         return await processMagnet(c, magnet, userIP);
     } catch (err) {
-        console.error('Error adding magnet:', err.message);
+        logger.error('Error adding magnet', err);
         const content = `
 			${statusHeader(`Failed to cast: ${err.message}`)}
 			<form method="POST" action="/add">
@@ -433,9 +1109,11 @@ app.post('/add', async (c) => {
 });
 
 app.post('/add/select', async (c) => {
-    const body = await c.req.parseBody();
-    const { torrentId, fileId } = body;
-    if (!torrentId || !fileId) {
+    const body = await c.req.parseBody({ all: true });
+    const { torrentId } = body;
+    // Checkboxes submit one fileId per selected file
+    const fileIds = body.select === 'videos' ? 'videos' : [].concat(body.fileId || []).join(',');
+    if (!torrentId || !fileIds) {
         const content = `
 			${statusHeader('Invalid file selection')}
 			<form method="POST" action="/add">
@@ -449,9 +1127,9 @@ app.post('/add/select', async (c) => {
     try {
         // Extract user IP for RD geolocation
         const userIP = getPublicIP(c);
-        return await processSelectedFile(c, torrentId, fileId, userIP);
+        return await processSelectedFile(c, torrentId, fileIds, userIP);
     } catch (err) {
-        console.error('Error selecting file:', err.message);
+        logger.error('Error selecting file', err);
         const content = `
 			${statusHeader(`Failed to cast: ${err.message}`)}
 			<form method="POST" action="/add">
@@ -481,9 +1159,10 @@ app.get('/add/:magnetOrHash', async (c) => {
     try {
         // Extract user IP for RD geolocation
         const userIP = getPublicIP(c);
-        return await processMagnet(c, decodeURIComponent(magnetOrHash), userIP);
+        // Hono has already decoded the parameter; decoding again would break encoded tracker URLs
+        return await processMagnet(c, getRequestMagnet(c.req.url, magnetOrHash), userIP);
     } catch (err) {
-        console.error('Error adding magnet via URL path:', err.message);
+        logger.error('Error adding magnet via URL path', err);
         const content = `
 			${statusHeader(`Failed to cast: ${err.message}`)}
 			<form method="POST" action="/add">
@@ -496,293 +1175,1771 @@ app.get('/add/:magnetOrHash', async (c) => {
     }
 });
 
-app.get('/health', (c) => {
-    // In worker, process.uptime is not available.
-    const uptime = typeof process !== 'undefined' ? process.uptime() : 0;
-    return c.json({
-        status: 'ok',
-        uptime: uptime,
-        timestamp: new Date().toISOString(),
-    });
-});
+// Add job progress; also advances the job on each poll (Workers have no background poller)
+app.get('/jobs/:id', async (c) => {
+    const config = c.get('config');
+    const env = getEnv(c);
+    let job = await jobs.getJob(env, c.req.param('id'));
 
-// --- WebDAV ---
+    if (!job) {
+        const content = `
+			${statusHeader('Add job not found or expired')}
+			<form method="POST" action="/add">
+				<input type="text" name="magnet" placeholder="magnet:?xt=urn:btih:... or infohash" required autofocus>
+				<button type="submit">Add Magnet Link</button>
+			</form>
+			${footer()}
+		`;
+        return c.html(layout('Error', content), 404);
+    }
 
-// Redirect directories not ending in / to ones ending in / and handle legacy /webdav
-const directories = ['/downloads', '/dmmcast'];
-directories.forEach(path => {
-    app.all(path, (c) => c.redirect(path + '/', 301));
+    job = await jobs.advanceJob(config, env, job);
+    const inProgress = job.state === 'pending' || job.state === 'unrestricting';
+    return c.html(layout(inProgress ? 'Preparing' : 'Add Magnet', jobContent(job), inProgress ? 5 : null));
 });
 
-app.all('/webdav*', (c) => {
-    const path = c.req.path.replace(/^\/webdav/, '') || '/';
-    return c.redirect(path, 301);
+// Collections that can be shared with a signed URL
+const SHARE_COLLECTIONS = {
+    downloads: 'Downloads',
+    dmmcast: 'DMM Cast',
+    manual: 'Manual',
+    torrents: 'Torrents',
+    library: 'Library',
+};
+const SHARE_DAYS = [7, 30, 90, 365];
+
+// GET /share - Mint a signed URL for one collection, for players that cannot use Basic Auth
+app.get('/share', async (c) => {
+    const config = c.get('config');
+    const collection = c.req.query('collection');
+    const days = parseInt(c.req.query('days')) || 30;
+
+    let shareUrl = null;
+    let expires = null;
+    if (SHARE_COLLECTIONS[collection] && SHARE_DAYS.includes(days)) {
+        const urlObj = getPublicUrl(c, `/${collection}/`);
+        if (config.userId) urlObj.searchParams.set('u', config.userId);
+        const exp = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+        shareUrl = await signUrl(getSigningSecret(config), urlObj, exp);
+        expires = new Date(exp * 1000);
+    }
+
+    const content = `
+		${pageHeader('Cast Magnet Link: Share', 'Create a read-only URL for one collection that works without a username and password')}
+		<form method="GET" action="/share">
+			<select name="collection" required>
+				${Object.entries(SHARE_COLLECTIONS).map(([name, label]) => `
+				<option value="${name}" ${name === collection ? 'selected' : ''}>${label} (/${name}/)</option>
+				`).join('')}
+			</select>
+			<select name="days">
+				${SHARE_DAYS.map(d => `<option value="${d}" ${d === days ? 'selected' : ''}>valid for ${d} days</option>`).join('')}
+			</select>
+			<button type="submit">Create Share URL</button>
+		</form>
+		${shareUrl ? `
+		<div class="status-info">
+			<h3>Share URL</h3>
+			<p><a href="${shareUrl}"><code>${shareUrl}</code></a></p>
+			<p><small>valid until <code>${expires.toUTCString()}</code>; anyone with this URL can list and play the files in <code>/${collection}/</code>. Change <code>SIGNING_SECRET</code> to revoke every share URL.</small></p>
+		</div>
+		` : ''}
+		${footer()}
+	`;
+    return c.html(layout('Share', content));
 });
 
 /**
- * Get Real-Debrid download links as WebDAV files
- * Returns .strm files for RD downloads only
+ * Render the Real-Debrid setup page
+ *
+ * @param {Object} c - Hono context
+ * @param {Object|null} credentials - Stored OAuth credentials
+ * @param {string|null} [error=null] - Error message
+ * @param {string|null} [success=null] - Success message
+ * @returns {Response} HTML response; refreshes itself while a device authorization is pending
  */
-async function getRealDebridWebDAVFiles(c) {
+function setupRdPage(c, credentials, error = null, success = null) {
     const config = c.get('config');
-    try {
-        // Fetch 20 downloads to account for potential duplicates
-        const downloads = await rdClient.getDownloadsList(config, 20);
-        const sortedDownloads = (downloads || []).sort((a, b) => new Date(b.generated) - new Date(a.generated));
+    const device = credentials?.device;
 
-        // Deduplicate by ID, keeping only the most recent occurrence
-        const seenIds = new Set();
-        const uniqueDownloads = [];
-        for (const download of sortedDownloads) {
-            if (!seenIds.has(download.id)) {
-                seenIds.add(download.id);
-                uniqueDownloads.push(download);
-                // Limit to 10 items for WebDAV
-                if (uniqueDownloads.length >= 10) break;
-            }
-        }
+    let status;
+    if (device) {
+        status = `
+		<div class="status-info">
+			<h3>Enter this code at <a href="${device.verificationUrl}" target="_blank">${device.verificationUrl}</a></h3>
+			<p><code style="font-size: 1.5rem;">${device.userCode}</code></p>
+			<p><small>this page checks every ${device.interval} seconds; the code expires at <code>${new Date(device.expiresAt).toUTCString()}</code></small></p>
+		</div>`;
+    } else if (credentials?.accessToken) {
+        status = `<p>Connected with OAuth; the access token expires at <code>${new Date(credentials.expiresAt).toUTCString()}</code> and is refreshed automatically.</p>`;
+    } else if (config.rdAccessToken) {
+        status = '<p>Using the private API token from <code>RD_ACCESS_TOKEN</code>. Connect with OAuth to use a token that can be rotated without redeploying.</p>';
+    } else {
+        status = '<p>Not connected: connect a Real-Debrid account to add magnets and list downloads.</p>';
+    }
 
-        // Deduplicate by filename, keeping most recent
-        const filesMap = new Map();
-        for (const download of uniqueDownloads) {
-            const strmUrl = download.download;
-            const filename = `${download.filename}.strm`;
-            const modified = new Date(download.generated).getTime();
+    const content = `
+		${pageHeader('Cast Magnet Link: Real-Debrid', 'Connect your Real-Debrid account with a device code')}
+		${error ? `<p><span class="status-badge error">ERROR</span> <code>${error}</code></p>` : ''}
+		${success ? `<p><span class="status-badge success">SUCCESS</span> ${success}</p>` : ''}
+		${status}
+		${device ? '' : `
+		<form method="POST" action="/setup/rd">
+			<button type="submit">${credentials?.accessToken ? 'Reconnect' : 'Connect'} Real-Debrid</button>
+		</form>
+		`}
+		${footer()}
+	`;
+    return c.html(layout('Real-Debrid', content, device ? device.interval : null), error ? 502 : 200);
+}
 
-            const fileObj = {
-                name: filename,
-                content: strmUrl,
-                size: strmUrl.length,
-                modified: download.generated,
-                modifiedTimestamp: modified,
-                contentType: 'text/plain; charset=utf-8',
-                originalFilename: download.filename,
-                filesize: download.filesize || 0,
-                downloadUrl: download.download,
-            };
+// GET /setup/rd - Real-Debrid OAuth status; polls a pending device authorization
+app.get('/setup/rd', async (c) => {
+    const config = c.get('config');
+    const credentials = await getRdCredentials(c);
+    if (!credentials?.device) {
+        return setupRdPage(c, credentials);
+    }
 
-            const existing = filesMap.get(filename);
-            if (existing) {
-                if (modified > existing.modifiedTimestamp) {
-                    filesMap.set(filename, fileObj);
-                }
-            } else {
-                filesMap.set(filename, fileObj);
-            }
+    try {
+        const fresh = await rdOAuth.pollDeviceFlow(config, credentials.device);
+        if (!fresh) {
+            return setupRdPage(c, credentials);
         }
+        const connected = { ...fresh, device: null };
+        await saveRdCredentials(c, connected);
+        // The new token may belong to another account
+        await cache.invalidate(cache.userGroup('rd-downloads', config));
+        await cache.invalidate(cache.userGroup('dmm-casts', config));
+        logger.info('Real-Debrid OAuth setup complete');
+        return setupRdPage(c, connected, null, 'Real-Debrid connected');
+    } catch (error) {
+        logger.error('Real-Debrid OAuth setup failed', error);
+        const cleared = { ...credentials, device: null };
+        await saveRdCredentials(c, cleared);
+        return setupRdPage(c, cleared, error.message);
+    }
+});
 
-        // Convert map to array and remove temporary timestamp field
-        const files = Array.from(filesMap.values()).map(file => {
-            const { modifiedTimestamp, ...cleanFile } = file;
-            return cleanFile;
-        });
+// POST /setup/rd - Start the Real-Debrid OAuth device flow
+app.post('/setup/rd', async (c) => {
+    const config = c.get('config');
+    const credentials = await getRdCredentials(c);
+    try {
+        const device = await rdOAuth.startDeviceFlow(config);
+        await saveRdCredentials(c, { ...credentials, device });
+        return c.redirect('/setup/rd', 303);
+    } catch (error) {
+        logger.error('Real-Debrid OAuth setup failed', error);
+        return setupRdPage(c, credentials, error.message);
+    }
+});
 
-        return files;
+// Storage backends by getBackendName()
+const STORAGE_BACKENDS = {
+    kv: 'Cloudflare KV',
+    json: 'JSON files',
+    d1: 'Cloudflare D1',
+    sqlite: 'SQLite',
+};
+
+/**
+ * Render the storage setup page
+ *
+ * @param {Object} c - Hono context
+ * @param {string|null} [error=null] - Error message
+ * @param {Object|null} [counts=null] - Counts from a finished migration
+ * @returns {Response} HTML response
+ */
+function setupStoragePage(c, error = null, counts = null) {
+    const backend = getBackendName(getEnv(c));
+    const isSql = backend === 'd1' || backend === 'sqlite';
+    const source = backend === 'd1' ? 'the KV namespace' : 'the JSON files in <code>DATA_DIR</code>';
+
+    const content = `
+		${pageHeader('Cast Magnet Link: Storage', `Storing .strm entries, jobs and settings in <code>${STORAGE_BACKENDS[backend]}</code>`)}
+		${error ? `<p><span class="status-badge error">ERROR</span> <code>${error}</code></p>` : ''}
+		${counts ? `<p><span class="status-badge success">SUCCESS</span> imported ${counts.entries} .strm entries and ${counts.records} records for ${counts.namespaces} ${counts.namespaces === 1 ? 'user' : 'users'}</p>` : ''}
+		${isSql ? `
+		<p>Import the data of every user from ${source}. Entries that already exist in the database are kept, so the import can be run again.</p>
+		${c.get('config').userId ? '<p><small>Only the <code>WEBDAV_USERNAME</code> user can run the import.</small></p>' : `
+		<form method="POST" action="/setup/storage">
+			<button type="submit">Import into ${STORAGE_BACKENDS[backend]}</button>
+		</form>
+		`}
+		` : `
+		<p><small>Set <code>STORAGE_BACKEND=sqlite</code> (Node.js) or bind a D1 database as <code>CAST_DB</code> (Workers) to move to a SQL database, then import the existing data here.</small></p>
+		`}
+		${footer()}
+	`;
+    return c.html(layout('Storage', content), error ? 500 : 200);
+}
+
+// GET /setup/storage - Storage backend and import of the KV or JSON file data
+app.get('/setup/storage', (c) => setupStoragePage(c));
+
+// POST /setup/storage - Import every user's KV entries or JSON files into the SQL backend
+app.post('/setup/storage', async (c) => {
+    if (c.get('config').userId) {
+        return c.text('Only the WEBDAV_USERNAME user can import storage', 403);
+    }
+    try {
+        return setupStoragePage(c, null, await migrateStorage(getEnv(c)));
     } catch (error) {
-        console.error('Error in getRealDebridWebDAVFiles:', error.message, error.stack);
-        return [];
+        logger.error('Storage migration failed', error);
+        return setupStoragePage(c, error.message);
     }
+});
+
+// --- Real-Debrid Account ---
+
+// Account details change slowly; the premium banner reads them on every HTML page
+const ACCOUNT_CACHE_TTL_SECONDS = 10 * 60;
+// The banner is not worth holding a page for: one short attempt, no retries
+const ACCOUNT_TIMEOUT_MS = 3000;
+// A banner warns on every page when premium ends within this many days
+const PREMIUM_WARNING_DAYS = 7;
+// Deep health checks call RD, DMM and storage; repeated probes within this time get the same result
+const DEEP_HEALTH_CACHE_SECONDS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the Real-Debrid account of the current user for the premium banner, cached for
+ * ACCOUNT_CACHE_TTL_SECONDS
+ * Failures are cached too, so pages do not wait on Real-Debrid again while it is down.
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Object|null>} User from rdClient.getUser, or null if it could not be loaded
+ */
+function getCachedAccount(c) {
+    const config = c.get('config');
+    return cache.cached(`${cache.userGroup('rd-account', config)}:user`, ACCOUNT_CACHE_TTL_SECONDS, async () => {
+        try {
+            return await rdClient.getUser(config, { retry: false, timeoutMs: ACCOUNT_TIMEOUT_MS });
+        } catch (error) {
+            logger.debug('Premium status unavailable', error);
+            return null;
+        }
+    });
 }
 
 /**
- * Get DMM casted links as WebDAV files
- * Returns .strm files for DMM Cast only
+ * Time until premium ends
+ *
+ * @param {Object} user - User from rdClient.getUser
+ * @returns {number} Milliseconds left; 0 for free accounts
  */
-async function getDMMCastWebDAVFiles(c) {
+function getPremiumTimeLeft(user) {
+    if (user.type !== 'premium') return 0;
+    const expiration = new Date(user.expiration).getTime();
+    return Number.isNaN(expiration) ? (user.premium || 0) * 1000 : Math.max(0, expiration - Date.now());
+}
+
+/**
+ * Format a duration as days and hours, e.g. "12 days, 3 hours"
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatTimeLeft(ms) {
+    const days = Math.floor(ms / DAY_MS);
+    const hours = Math.floor((ms % DAY_MS) / (60 * 60 * 1000));
+    const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+    return days > 0 ? `${plural(days, 'day')}, ${plural(hours, 'hour')}` : plural(hours, 'hour');
+}
+
+/**
+ * Banner for pages when premium ends within PREMIUM_WARNING_DAYS
+ *
+ * @param {Object} user - User from rdClient.getUser
+ * @returns {string|null} HTML, or null when no warning is needed
+ */
+function premiumWarning(user) {
+    const left = getPremiumTimeLeft(user);
+    if (left > PREMIUM_WARNING_DAYS * DAY_MS) return null;
+    const message = left > 0
+        ? `Real-Debrid premium ends in ${formatTimeLeft(left)}`
+        : 'Real-Debrid premium has expired: links can no longer be unrestricted';
+    return `
+<p><span class="status-badge warning">PREMIUM</span> ${message} · <a href="/account">account</a></p>`;
+}
+
+// GET /account - Real-Debrid account: username, premium expiry, points and traffic usage
+app.get('/account', async (c) => {
     const config = c.get('config');
+    let user;
+    let traffic;
     try {
-        const castedLinks = await getCastedLinks(config);
+        [user, traffic] = await Promise.all([rdClient.getUser(config), rdClient.getTrafficDetails(config)]);
+    } catch (error) {
+        logger.error('Error loading Real-Debrid account', error);
+        const content = `
+		${pageHeader('Cast Magnet Link: Account', 'Real-Debrid account status')}
+		<p><span class="status-badge error">ERROR</span> <code>${error.message}</code></p>
+		<p><small>Check the token in <code>RD_ACCESS_TOKEN</code> or reconnect at <a href="/setup/rd">/setup/rd</a>.</small></p>
+		${footer()}
+	`;
+        return c.html(layout('Account', content), 502);
+    }
 
-        // Deduplicate by filename, keeping most recent
-        const filesMap = new Map();
-        for (const link of castedLinks) {
-            const strmUrl = link.url;
-            // Use precached strmFilename
-            const filename = link.strmFilename;
-            const modified = new Date(link.updatedAt).getTime();
+    const left = getPremiumTimeLeft(user);
+    const premium = left > 0
+        ? `<code>${formatTimeLeft(left)}</code> left, until <code>${new Date(Date.now() + left).toUTCString()}</code>`
+        : '<code>expired</code>';
+    const days = Object.entries(traffic).sort(([a], [b]) => b.localeCompare(a));
+    const totalBytes = days.reduce((sum, [, day]) => sum + (day.bytes || 0), 0);
+    const trafficRows = days.map(([date, day]) => `
+				<tr><td><code>${date}</code></td><td>${formatBytes(day.bytes || 0)}</td><td><small>${Object.keys(day.host || {}).join(', ')}</small></td></tr>`).join('');
 
-            const fileObj = {
-                name: filename,
-                content: strmUrl,
-                size: strmUrl.length,
-                modified: link.updatedAt,
-                modifiedTimestamp: modified,
-                contentType: 'text/plain; charset=utf-8',
-                originalFilename: link.filename,
-                filesize: link.sizeGB * 1024 * 1024 * 1024,
-                downloadUrl: link.url,
-                imdbId: link.imdbId,    // Store for reference
-                hash: link.hash,         // Store for reference
-            };
+    const content = `
+		${pageHeader('Cast Magnet Link: Account', 'Real-Debrid account status')}
+		<table>
+			<tbody>
+				<tr><th>Username</th><td><code>${user.username}</code></td></tr>
+				<tr><th>Account</th><td><code>${user.type}</code></td></tr>
+				<tr><th>Premium</th><td>${premium}</td></tr>
+				<tr><th>Fidelity points</th><td><code>${user.points ?? 0}</code></td></tr>
+			</tbody>
+		</table>
+		<h3>Traffic (last 7 days): ${formatBytes(totalBytes)}</h3>
+		${days.length ? `
+		<table>
+			<thead><tr><th>Date</th><th>Downloaded</th><th>Hosts</th></tr></thead>
+			<tbody>${trafficRows}
+			</tbody>
+		</table>` : '<p><small>No traffic in the last 7 days.</small></p>'}
+		${footer()}
+	`;
+    return c.html(layout('Account', content));
+});
 
-            const existing = filesMap.get(filename);
-            if (existing) {
-                if (modified > existing.modifiedTimestamp) {
-                    filesMap.set(filename, fileObj);
-                }
-            } else {
-                filesMap.set(filename, fileObj);
-            }
-        }
+/**
+ * Run one deep health check
+ *
+ * @param {Function} check - Async function; throws when the component is unhealthy, may return details
+ * @returns {Promise<Object>} Status ('ok' or 'failing'), latencyMs and details or error
+ */
+async function runHealthCheck(check) {
+    const startedAt = Date.now();
+    try {
+        const details = await check();
+        return { status: 'ok', latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        return { status: 'failing', latencyMs: Date.now() - startedAt, error: error.message };
+    }
+}
+
+/**
+ * Check Real-Debrid (token and premium), DMM and a storage read
+ * The storage check only reads, so uptime monitors polling it do not use up the KV write quota.
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Object>} Checks by component: rd, dmm and storage
+ */
+async function getDeepHealth(c) {
+    const config = c.get('config');
+    const env = getEnv(c);
+    const [rd, dmm, storageCheck] = await Promise.all([
+        runHealthCheck(async () => {
+            const user = await rdClient.getUser(config);
+            if (getPremiumTimeLeft(user) === 0) {
+                throw new Error('Real-Debrid premium has expired');
+            }
+            return { premiumExpiresAt: new Date(Date.now() + getPremiumTimeLeft(user)).toISOString() };
+        }),
+        runHealthCheck(async () => {
+            const response = await dmmFetch('/links', { token: getDMMToken(config) });
+            await response.body?.cancel();
+            if (!response.ok) {
+                throw new Error(`DMM API returned ${response.status}`);
+            }
+        }),
+        // A dedicated short-lived key, so user data is left alone
+        runHealthCheck(async () => {
+            const value = new Date().toISOString();
+            if (await storage.probe(env, value) !== value) {
+                throw new Error('Storage did not return the value just written');
+            }
+        }),
+    ]);
+    return { rd, dmm, storage: storageCheck };
+}
+
+/**
+ * Upstream state recorded by the listing snapshots
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Object>} State by collection (key of UPSTREAMS), with the last upstream error
+ */
+async function getUpstreamHealth(c) {
+    const env = getEnv(c);
+    const upstreams = {};
+    for (const [collection, name] of Object.entries(UPSTREAMS)) {
+        let snapshot = null;
+        try {
+            snapshot = await storage.getSnapshot(env, collection);
+        } catch (error) {
+            logger.error(`Error loading ${collection} snapshot`, error);
+        }
+        upstreams[collection] = {
+            name,
+            status: snapshot?.failingSince ? 'failing' : 'ok',
+            failingSince: snapshot?.failingSince || null,
+            error: snapshot?.error || null,
+            snapshotAt: snapshot?.savedAt || null,
+        };
+    }
+    return upstreams;
+}
+
+// GET /health - Service status for load balancers (no storage or upstream calls);
+// ?deep=1 (authenticated) adds the upstream state and checks Real-Debrid, DMM and storage (503 when one fails)
+app.get('/health', async (c) => {
+    // In worker, process.uptime is not available.
+    const uptime = typeof process !== 'undefined' ? process.uptime() : 0;
+    const health = {
+        status: 'ok',
+        uptime: uptime,
+        timestamp: new Date().toISOString(),
+    };
+    if (!c.req.query('deep')) {
+        return c.json(health);
+    }
+
+    health.storage = getBackendName(getEnv(c));
+    health.upstreams = await getUpstreamHealth(c);
+    if (Object.values(health.upstreams).some(u => u.status === 'failing')) health.status = 'degraded';
+
+    // Per user: the checks use the user's Real-Debrid token
+    health.checks = await cache.cached(`${cache.userGroup('health', c.get('config'))}:deep`, DEEP_HEALTH_CACHE_SECONDS, () => getDeepHealth(c));
+    const failing = Object.values(health.checks).some(check => check.status !== 'ok');
+    if (failing) health.status = 'failing';
+    return c.json(health, failing ? 503 : 200);
+});
+
+// GET /metrics - Prometheus metrics of this process (Node.js) or isolate (Workers)
+app.get('/metrics', async (c, next) => {
+    const config = c.get('config');
+    if (config.metricsPassword) {
+        return basicAuth({ username: config.metricsUsername, password: config.metricsPassword })(c, next);
+    }
+    // Metrics cover every user, so registered users cannot read them with their WebDAV credentials
+    return config.userId ? c.text('Only the WEBDAV_USERNAME user can read metrics', 403) : next();
+}, (c) => c.text(metrics.renderMetrics(), 200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }));
+
+// --- JSON API (/api/v1) ---
+// JSON versions of the HTML routes for scripts and iOS Shortcuts
+// Errors are always { "error": { "code": "...", "message": "..." } }
+
+const api = new Hono();
+
+/**
+ * Respond with the API error shape
+ *
+ * @param {Object} c - Hono context
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Response} JSON error response
+ */
+function apiError(c, status, code, message) {
+    return c.json({ error: { code, message } }, status);
+}
+
+/**
+ * Read a JSON or form request body
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Object|null>} Parsed body, or null if the JSON is malformed
+ */
+async function readApiBody(c) {
+    if ((c.req.header('Content-Type') || '').includes('application/json')) {
+        try {
+            return await c.req.json();
+        } catch (error) {
+            return null;
+        }
+    }
+    return c.req.parseBody({ all: true });
+}
+
+/**
+ * Public representation of an add-magnet job
+ *
+ * @param {Object} job - Job from jobs.js
+ * @returns {Object} Job without internal fields
+ */
+function toJobJSON(job) {
+    return {
+        id: job.id,
+        state: job.state,
+        status: job.status,
+        progress: job.progress || 0,
+        hash: job.hash,
+        filename: job.filename,
+        // Files to choose from with POST /api/v1/magnets/:id/select
+        files: job.state === 'selecting'
+            ? job.files.map(f => ({ id: f.id, path: f.path || f.name, bytes: f.bytes || f.size || 0 }))
+            : [],
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+    };
+}
+
+/**
+ * JSON counterpart of respondWithJob
+ * Pending jobs continue in the background: 202 with the job URL to poll
+ *
+ * @param {Object} c - Hono context
+ * @param {Object} job - Job from jobs.js
+ * @returns {Response} JSON response
+ */
+function respondWithJobJSON(c, job) {
+    if (job.state === 'error') {
+        return apiError(c, 502, 'job_failed', job.error);
+    }
+
+    if (job.state === 'pending' || job.state === 'unrestricting') {
+        jobs.pollJobInBackground(c.get('config'), getEnv(c), job.id);
+        return c.json({ job: toJobJSON(job) }, 202, { Location: `/api/v1/jobs/${job.id}` });
+    }
+
+    return c.json({ job: toJobJSON(job) }, job.state === 'done' ? 201 : 200);
+}
+
+// POST /api/v1/magnets - Add a magnet link or infohash: { "magnet": "..." }
+api.post('/magnets', async (c) => {
+    const body = await readApiBody(c);
+    if (!body) {
+        return apiError(c, 400, 'invalid_json', 'Request body is not valid JSON');
+    }
+    const magnetOrHash = body.magnet || body.hash;
+    if (!magnetOrHash || typeof magnetOrHash !== 'string') {
+        return apiError(c, 400, 'invalid_request', 'A magnet link or infohash is required in "magnet"');
+    }
+
+    return processMagnet(c, magnetOrHash, getPublicIP(c), respondWithJobJSON);
+});
+
+// POST /api/v1/magnets/:id/select - Choose files: { "fileIds": [1, 2] } or { "fileIds": "videos" }
+api.post('/magnets/:id/select', async (c) => {
+    const body = await readApiBody(c);
+    if (!body) {
+        return apiError(c, 400, 'invalid_json', 'Request body is not valid JSON');
+    }
+    const fileIds = body.fileIds === 'videos' ? 'videos' : [].concat(body.fileIds || []).join(',');
+    if (!fileIds) {
+        return apiError(c, 400, 'invalid_request', 'File IDs to select are required in "fileIds"');
+    }
+
+    const torrentId = c.req.param('id');
+    if (!await jobs.getJob(getEnv(c), torrentId)) {
+        return apiError(c, 404, 'not_found', 'Add job not found or expired');
+    }
+
+    return processSelectedFile(c, torrentId, fileIds, getPublicIP(c), respondWithJobJSON);
+});
+
+// GET /api/v1/jobs/:id - Progress of an add-magnet job
+api.get('/jobs/:id', async (c) => {
+    const env = getEnv(c);
+    const job = await jobs.getJob(env, c.req.param('id'));
+    if (!job) {
+        return apiError(c, 404, 'not_found', 'Add job not found or expired');
+    }
+
+    return c.json({ job: toJobJSON(await jobs.advanceJob(c.get('config'), env, job)) });
+});
+
+// GET /api/v1/downloads - Real-Debrid download links, DOWNLOADS_LIMIT per ?page= (most recent first)
+api.get('/downloads', async (c) => {
+    const page = Math.max(1, parseInt(c.req.query('page')) || 1);
+    const { downloads, totalCount } = await getRealDebridDownloads(c, page);
+    return c.json({ downloads, page, totalCount });
+});
+
+// GET /api/v1/casts - DMM casts from the last 7 days
+api.get('/casts', async (c) => {
+    const castedLinks = await getCastedLinks(c, await getDisplayNames(c));
+    return c.json({
+        casts: castedLinks.map(link => ({
+            hash: link.hash,
+            imdbId: link.imdbId,
+            filename: link.filename,
+            displayName: link.displayName,
+            strmFilename: link.strmFilename,
+            filesize: link.filesize,
+            downloadUrl: link.url,
+            updatedAt: link.updatedAt,
+        })),
+    });
+});
+
+// DELETE /api/v1/casts/:hash - Remove every DMM cast of a torrent
+api.delete('/casts/:hash', async (c) => {
+    const config = c.get('config');
+    const hash = c.req.param('hash').toLowerCase();
+    const casts = (await getCastedLinks(c)).filter(link => (link.hash || '').toLowerCase() === hash);
+    if (casts.length === 0) {
+        return apiError(c, 404, 'not_found', `No cast found for hash ${hash}`);
+    }
+
+    for (const cast of casts) {
+        const response = await deleteCastedLink(config, cast.hash, cast.imdbId);
+        if (!response.ok) {
+            const error = await response.text();
+            logger.error(`DMM delete failed (${response.status})`, { body: error });
+            return apiError(c, 502, 'upstream_error', `DMM delete failed (${response.status}): ${error}`);
+        }
+    }
+    return new Response(null, { status: 204 }); // No Content
+});
+
+// GET /api/v1/manual - Manually added entries
+api.get('/manual', async (c) => {
+    const files = await getManualWebDAVFiles(c);
+    return c.json({
+        manual: files.map(file => ({
+            id: file.strmId,
+            filename: getDisplayFilename(file.originalFilename, file.displayName),
+            folder: file.folder,
+            filesize: file.filesize,
+            modified: file.modified,
+        })),
+    });
+});
+
+// GET /api/v1/torrents - Downloaded torrents in the Real-Debrid library
+api.get('/torrents', async (c) => {
+    const folders = await getTorrentFolders(c);
+    return c.json({
+        torrents: folders.map(folder => ({
+            id: folder.id,
+            name: folder.name,
+            bytes: folder.bytes,
+            fileCount: folder.fileCount,
+            modified: folder.modified,
+        })),
+    });
+});
+
+api.all('*', (c) => apiError(c, 404, 'not_found', 'Unknown API endpoint'));
+
+api.onError((error, c) => {
+    logger.error(`API error on ${c.req.method} ${c.req.path}`, error);
+    if (error instanceof MagnetError) {
+        return apiError(c, 400, 'invalid_magnet', error.message);
+    }
+    if (error instanceof rdClient.RealDebridError) {
+        return apiError(c, 502, 'upstream_error', error.message);
+    }
+    return apiError(c, 500, 'internal_error', error.message);
+});
+
+app.route('/api/v1', api);
+
+// --- WebDAV ---
+
+// Redirect directories not ending in / to ones ending in / and handle legacy /webdav
+// (GET only: PROPFIND, OPTIONS and DELETE accept either form)
+const directories = ['/downloads', '/dmmcast', '/manual', '/torrents', '/library'];
+directories.forEach(path => {
+    app.get(path, (c) => c.redirect(path + '/', 301));
+});
+
+app.all('/webdav*', (c) => {
+    const path = c.req.path.replace(/^\/webdav/, '') || '/';
+    return c.redirect(path, 301);
+});
+
+// --- Self-refreshing .strm entries ---
+
+// Unrestricted URLs older than this are regenerated on playback
+const STRM_REFRESH_MS = 48 * 60 * 60 * 1000;
+
+// Signed play URLs are valid for about a year; the expiry only moves every 30 days
+// so .strm contents (and sizes) stay the same between library scans
+const PLAY_URL_TTL_SECONDS = 365 * 24 * 60 * 60;
+const PLAY_URL_EXPIRY_STEP_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Build the stable /play/:id URL written into .strm files
+ * The URL is signed so media players can follow it without credentials; it never carries
+ * the WebDAV username and password
+ *
+ * @param {Object} c - Hono context
+ * @param {string} strmId - Storage entry ID
+ * @returns {Promise<string>} Absolute signed play URL
+ */
+async function getPlayUrl(c, strmId) {
+    const config = c.get('config');
+    const urlObj = getPublicUrl(c, `/play/${encodeURIComponent(strmId)}`);
+    if (config.userId) urlObj.searchParams.set('u', config.userId);
+    const now = Math.floor(Date.now() / 1000);
+    const exp = Math.ceil((now + PLAY_URL_TTL_SECONDS) / PLAY_URL_EXPIRY_STEP_SECONDS) * PLAY_URL_EXPIRY_STEP_SECONDS;
+    return signUrl(getSigningSecret(config), urlObj, exp);
+}
+
+/**
+ * Query string that keeps a signed request's signature on links to other shared pages
+ *
+ * @param {Object} c - Hono context
+ * @returns {string} "?sig=…&exp=…" (with u=… for registered users) or an empty string
+ */
+function shareQuery(c) {
+    return c.get('shareQuery') || '';
+}
+
+/**
+ * Build the storage entry of a .strm file on its first play, or after the entry expired
+ * Listings only write /play URLs, so a month of history costs no storage reads or writes.
+ * DMM casts are looked up by their entry ID; RD links are found in the download history,
+ * or unrestricted again from the link ID (torrent files and downloads older than the history).
+ *
+ * @param {Object} c - Hono context
+ * @param {string} strmId - Storage entry ID from the /play URL
+ * @returns {Promise<Object|null>} Entry, or null if the ID does not name a link
+ */
+async function buildStrmEntry(c, strmId) {
+    let source = null;
+    if (strmId.startsWith('dmm-')) {
+        const link = (await getCastedLinks(c)).find(link => getDMMCastStrmId(link.hash, link.imdbId) === strmId);
+        source = link && { originalLink: link.link || link.url, filename: link.filename, filesize: link.filesize, hash: link.hash, imdbId: link.imdbId };
+    } else {
+        let download;
+        try {
+            download = (await getDownloadHistory(c)).find(d => d.id === strmId || rdClient.extractLinkId(d.link) === strmId);
+        } catch (error) {
+            logger.warn('Error loading the download history to rebuild a .strm entry', error);
+        }
+        if (download) {
+            source = { originalLink: download.link, filename: download.filename, filesize: download.filesize };
+        } else if (/^[A-Z0-9]+$/i.test(strmId)) {
+            source = { originalLink: `https://real-debrid.com/d/${strmId}`, filename: strmId };
+        }
+    }
+    if (!source) return null;
+
+    // Without an unrestricted URL, so the caller unrestricts the link now
+    const entry = {
+        ...source, unrestrictedUrl: null, filesize: source.filesize || 0, hash: source.hash || null, imdbId: source.imdbId || null,
+        manuallyAdded: false, generatedAt: new Date().toISOString(),
+    };
+    try {
+        await storage.addStrmEntry(getEnv(c), strmId, entry.originalLink, null, entry.filename, false, entry.filesize, null, entry.hash, entry.imdbId);
+    } catch (error) {
+        logger.error('Error storing .strm entry', error);
+    }
+    logger.info(`Stored .strm entry ${strmId} for: ${entry.filename}`);
+    return entry;
+}
+
+/**
+ * Get a playable unrestricted URL for an entry, refreshing it when stale
+ * An entry missing from storage is rebuilt, so .strm files keep working after their entry expires.
+ *
+ * @param {Object} c - Hono context
+ * @param {string} strmId - Storage entry ID
+ * @param {string|null} [fallbackUrl=null] - URL to use when the entry is not in storage
+ * @param {boolean} [force=false] - Unrestrict again even if the stored URL is fresh
+ * @returns {Promise<string|null>} Unrestricted URL, or null if there is no such link
+ */
+async function resolvePlaybackUrl(c, strmId, fallbackUrl = null, force = false) {
+    const config = c.get('config');
+    const env = getEnv(c);
+    let entry = await storage.getStrmEntry(env, strmId);
+    if (!entry) {
+        if (fallbackUrl && !force) return fallbackUrl;
+        entry = await buildStrmEntry(c, strmId);
+        if (!entry) return fallbackUrl;
+    }
+
+    const age = Date.now() - new Date(entry.generatedAt).getTime();
+    if (force || age > STRM_REFRESH_MS || !entry.unrestrictedUrl) {
+        logger.info(`Refreshing stale unrestricted URL for: ${entry.filename}`);
+        try {
+            const userIP = getPublicIP(c);
+            const freshUrl = await rdClient.unrestrictLink(config, entry.originalLink, userIP);
+            await storage.updateStrmUrl(env, strmId, freshUrl);
+            metrics.recordUnrestrictRefresh(true);
+            return freshUrl;
+        } catch (error) {
+            metrics.recordUnrestrictRefresh(false);
+            logger.error('Error refreshing unrestricted URL', error);
+            // Continue with old URL as fallback
+            if (!entry.unrestrictedUrl) throw error;
+        }
+    }
+    return entry.unrestrictedUrl;
+}
+
+/**
+ * List the actual media file instead of its .strm file (MEDIA_MODE=proxy)
+ * The .strm file stays reachable through `strmName`
+ *
+ * @param {Object} file - WebDAV .strm file object
+ * @param {string} [name=file.originalFilename] - Media filename to list
+ * @returns {Object} WebDAV media file object
+ */
+function toMediaFile(file, name = file.originalFilename) {
+    return {
+        ...file,
+        name,
+        size: file.filesize || 0,
+        contentType: getMediaMimeType(name),
+        proxy: true,
+    };
+}
+
+/**
+ * Apply the configured media mode to a list of WebDAV .strm files
+ *
+ * @param {Object} c - Hono context
+ * @param {Array} files - WebDAV .strm file objects
+ * @param {Function} [getName] - Builds the media filename for a file
+ * @returns {Array} Files for the WebDAV listing
+ */
+function applyMediaMode(c, files, getName = file => file.originalFilename) {
+    if (c.get('config').mediaMode !== 'proxy') return files;
+    return files.map(file => toMediaFile(file, getName(file)));
+}
+
+/**
+ * Stream a proxied media file (MEDIA_MODE=proxy)
+ * An expired or rotated link is unrestricted again once; when the media host or Real-Debrid
+ * still fails, the client gets a 502 instead of the host's error page as media.
+ *
+ * @param {Object} c - Hono context
+ * @param {Object} file - WebDAV media file from toMediaFile
+ * @returns {Promise<Response>} Streaming response, or 502
+ */
+async function proxyWebDAVFile(c, file) {
+    const isError = (response) => response.status >= 400 && response.status !== 416;
+    const proxy = async (force) => {
+        const url = await resolvePlaybackUrl(c, file.strmId, file.downloadUrl, force);
+        if (!url) {
+            throw new Error('No download link for this file');
+        }
+        return proxyMedia(c, url, file.name);
+    };
+
+    try {
+        let response = await proxy(false);
+        if (isError(response) && file.strmId) {
+            await response.body?.cancel();
+            response = await proxy(true);
+        }
+        if (isError(response)) {
+            await response.body?.cancel();
+            return c.text(`Media host returned ${response.status}`, 502);
+        }
+        return response;
+    } catch (error) {
+        logger.error(`Error streaming ${file.name}`, error);
+        return c.text(`Failed to stream media: ${error.message}`, 502);
+    }
+}
+
+/**
+ * Serve a WebDAV file by name: stream proxied media or return .strm content
+ *
+ * @param {Object} c - Hono context
+ * @param {Array} files - Files from one of the WebDAV file builders
+ * @param {string} filename - Requested filename
+ * @returns {Promise<Response|null>} Response, or null if no file matches
+ */
+async function serveWebDAVFile(c, files, filename) {
+    const file = files.find(f => f.name === filename);
+
+    if (file && file.sidecar) {
+        return c.body(file.content, 200, { 'Content-Type': file.contentType });
+    }
+
+    if (file && file.proxy) {
+        return proxyWebDAVFile(c, file);
+    }
+
+    // .strm files stay available in proxy mode for the HTML listings
+    const strmFile = file || files.find(f => f.strmName === filename);
+    if (!strmFile || !filename.endsWith('.strm')) {
+        return null;
+    }
+    return c.text(strmFile.content, 200, { 'Content-Type': 'text/plain; charset=utf-8' });
+}
+
+/**
+ * Add a .nfo (Kodi, Jellyfin) and .xml (Infuse) metadata sidecar for each .strm or media file
+ * Sidecars share the file's basename; static assets get none
+ *
+ * @param {Array} files - Files from one of the WebDAV file builders
+ * @param {string} source - Collection the files come from: downloads, dmmcast, manual or torrents
+ * @returns {Array} Files followed by their sidecars
+ */
+function withSidecars(files, source) {
+    const sidecars = [];
+    for (const file of files) {
+        if (!file.strmId) continue;
+
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        const release = file.release || parseReleaseName(getDisplayFilename(file.originalFilename, file.displayName));
+        const info = { ...release, imdbId: file.imdbId || null, source: file.source || source };
+        for (const [extension, content] of [['nfo', buildNfo(info)], ['xml', buildInfuseXml(info)]]) {
+            sidecars.push({
+                name: `${baseName}.${extension}`,
+                content,
+                size: new TextEncoder().encode(content).length,
+                modified: file.modified,
+                contentType: 'text/xml; charset=utf-8',
+                folder: file.folder,
+                sidecar: true,
+            });
+        }
+    }
+    return [...files, ...sidecars];
+}
+
+/**
+ * Build the proxied media filename for a DMM cast, e.g. Movie{hash-…}{imdb-…}.mkv
+ *
+ * @param {string} filename - Media filename
+ * @param {string} hash - Torrent infohash
+ * @param {string} imdbId - IMDb ID
+ * @returns {string} Filename with the DMM encoding before the extension
+ */
+function getDMMCastMediaName(filename, hash, imdbId) {
+    const encoding = `{hash-${hash}}{imdb-${imdbId}}`;
+    const dot = filename.lastIndexOf('.');
+    return dot > 0
+        ? `${filename.slice(0, dot)}${encoding}${filename.slice(dot)}`
+        : `${filename}${encoding}`;
+}
+
+/**
+ * Load the display-name overrides set via WebDAV MOVE
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Object>} Map of storage entry ID to { name, folder }
+ */
+async function getDisplayNames(c) {
+    try {
+        return await storage.getDisplayNames(getEnv(c));
+    } catch (error) {
+        logger.error('Error loading display names', error);
+        return {};
+    }
+}
+
+/**
+ * Media filename to show for an entry, e.g. Movie (2023).mkv for a renamed Movie.2023.1080p.mkv
+ *
+ * @param {string} filename - Original media filename
+ * @param {string|null} displayName - Display name without extension
+ * @returns {string} Filename with the original extension
+ */
+function getDisplayFilename(filename, displayName) {
+    if (!displayName) return filename;
+    const dot = filename.lastIndexOf('.');
+    return dot > 0 ? `${displayName}${filename.slice(dot)}` : displayName;
+}
+
+/**
+ * Turn a MOVE destination filename into a display name
+ * Strips the DMM encoding, .strm and the media extension, so Movie (2023).strm becomes Movie (2023)
+ *
+ * @param {string} name - Destination filename
+ * @param {string} filename - Original media filename
+ * @returns {string} Display name (empty if nothing is left)
+ */
+function toDisplayName(name, filename) {
+    let displayName = name.replace(/\{hash-[^}]+\}\{imdb-[^}]+\}/, '').replace(/\.strm$/i, '');
+    const dot = filename.lastIndexOf('.');
+    if (dot > 0 && displayName.toLowerCase().endsWith(filename.slice(dot).toLowerCase())) {
+        displayName = displayName.slice(0, -(filename.length - dot));
+    }
+    return displayName.trim();
+}
+
+/**
+ * Get Real-Debrid download links as WebDAV files
+ * Returns .strm files for RD downloads only: the DOWNLOADS_LIMIT most recent ones, or one month of the history
+ *
+ * @param {Object} c - Hono context
+ * @param {string|null} [month=null] - Month folder (YYYY-MM)
+ * @returns {Promise<Array>} WebDAV files
+ */
+async function getRealDebridWebDAVFiles(c, month = null) {
+    try {
+        const downloads = month
+            ? (await getDownloadHistory(c)).filter(download => getDownloadMonth(download) === month)
+            : (await getCachedDownloadsList(c)).downloads;
+        const sortedDownloads = [...downloads].sort((a, b) => new Date(b.generated) - new Date(a.generated));
+
+        // Deduplicate by ID, keeping only the most recent occurrence
+        const seenIds = new Set();
+        const uniqueDownloads = sortedDownloads.filter(download => {
+            if (seenIds.has(download.id)) return false;
+            seenIds.add(download.id);
+            return true;
+        });
+
+        // Deduplicate by filename, keeping most recent
+        const filesMap = new Map();
+        for (const download of uniqueDownloads) {
+            const strmId = rdClient.extractLinkId(download.link) || download.id;
+            const strmUrl = await getPlayUrl(c, strmId);
+            const filename = `${download.filename}.strm`;
+            const modified = new Date(download.generated).getTime();
+
+            const fileObj = {
+                name: filename,
+                strmName: filename,
+                content: strmUrl,
+                size: strmUrl.length,
+                modified: download.generated,
+                modifiedTimestamp: modified,
+                contentType: 'text/plain; charset=utf-8',
+                originalFilename: download.filename,
+                filesize: download.filesize || 0,
+                downloadUrl: download.download,
+                strmId: strmId,
+            };
+
+            const existing = filesMap.get(filename);
+            if (existing) {
+                if (modified > existing.modifiedTimestamp) {
+                    filesMap.set(filename, fileObj);
+                }
+            } else {
+                filesMap.set(filename, fileObj);
+            }
+        }
+
+        // Convert map to array and remove temporary timestamp field
+        const files = Array.from(filesMap.values()).map(file => {
+            const { modifiedTimestamp, ...cleanFile } = file;
+            return cleanFile;
+        });
+
+        return applyMediaMode(c, files);
+    } catch (error) {
+        logger.error('Error in getRealDebridWebDAVFiles', { error: error.message, stack: error.stack });
+        return [];
+    }
+}
+
+/**
+ * Get DMM casted links as WebDAV files
+ * Returns .strm files for DMM Cast only
+ */
+async function getDMMCastWebDAVFiles(c) {
+    const config = c.get('config');
+    try {
+        const castedLinks = await getCastedLinks(c, await getDisplayNames(c));
+
+        // Deduplicate by filename, keeping most recent
+        const filesMap = new Map();
+        for (const link of castedLinks) {
+            const strmId = getDMMCastStrmId(link.hash, link.imdbId);
+            const strmUrl = await getPlayUrl(c, strmId);
+            // Use precached strmFilename
+            const filename = link.strmFilename;
+            const modified = new Date(link.updatedAt).getTime();
+
+            const fileObj = {
+                name: filename,
+                strmName: filename,
+                content: strmUrl,
+                size: strmUrl.length,
+                modified: link.updatedAt,
+                modifiedTimestamp: modified,
+                contentType: 'text/plain; charset=utf-8',
+                originalFilename: link.filename,
+                displayName: link.displayName,
+                filesize: link.filesize,
+                downloadUrl: link.url,
+                imdbId: link.imdbId,    // Store for reference
+                hash: link.hash,         // Store for reference
+                strmId: strmId,
+            };
+
+            const existing = filesMap.get(filename);
+            if (existing) {
+                if (modified > existing.modifiedTimestamp) {
+                    filesMap.set(filename, fileObj);
+                }
+            } else {
+                filesMap.set(filename, fileObj);
+            }
+        }
+
+        // Convert map to array and remove temporary timestamp field
+        const files = Array.from(filesMap.values()).map(file => {
+            const { modifiedTimestamp, ...cleanFile } = file;
+            return cleanFile;
+        });
+
+        // Keep the {hash-…}{imdb-…} encoding for DELETE, before the media extension
+        return applyMediaMode(c, files, file =>
+            getDMMCastMediaName(getDisplayFilename(file.originalFilename, file.displayName), file.hash, file.imdbId));
+    } catch (error) {
+        logger.error('Error in getDMMCastWebDAVFiles', { error: error.message, stack: error.stack });
+        return [];
+    }
+}
+
+/**
+ * Get manually added links as WebDAV files
+ * Returns .strm files for entries stored by the add magnet flow;
+ * files from multi-file adds carry the torrent name in `folder`
+ */
+async function getManualWebDAVFiles(c) {
+    try {
+        const entries = await storage.getAllStrmEntries(getEnv(c));
+        const displayNames = await getDisplayNames(c);
+
+        // Deduplicate by filename, keeping most recent
+        const filesMap = new Map();
+        for (const entry of entries) {
+            if (!entry || !entry.manuallyAdded) continue;
+
+            // Name and folder set via WebDAV MOVE
+            const override = displayNames[entry.linkId];
+            const displayName = override?.name || null;
+            const strmUrl = await getPlayUrl(c, entry.linkId);
+            const filename = `${displayName || entry.filename}.strm`;
+            const modified = new Date(entry.generatedAt).getTime();
+
+            const fileObj = {
+                name: filename,
+                strmName: filename,
+                content: strmUrl,
+                size: strmUrl.length,
+                modified: entry.generatedAt,
+                modifiedTimestamp: modified,
+                contentType: 'text/plain; charset=utf-8',
+                originalFilename: entry.filename,
+                displayName,
+                filesize: entry.filesize || 0,
+                downloadUrl: entry.unrestrictedUrl,
+                strmId: entry.linkId,
+                folder: (override ? override.folder : entry.folder) || null,
+            };
+
+            const key = `${fileObj.folder || ''}/${filename}`;
+            const existing = filesMap.get(key);
+            if (!existing || modified > existing.modifiedTimestamp) {
+                filesMap.set(key, fileObj);
+            }
+        }
+
+        // Sort most recent first and remove temporary timestamp field
+        const files = Array.from(filesMap.values())
+            .sort((a, b) => b.modifiedTimestamp - a.modifiedTimestamp)
+            .map(file => {
+                const { modifiedTimestamp, ...cleanFile } = file;
+                return cleanFile;
+            });
+
+        return applyMediaMode(c, files, file => getDisplayFilename(file.originalFilename, file.displayName));
+    } catch (error) {
+        logger.error('Error in getManualWebDAVFiles', { error: error.message, stack: error.stack });
+        return [];
+    }
+}
+
+/**
+ * Group manual files into their per-torrent folders
+ *
+ * @param {Array} files - Files from getManualWebDAVFiles
+ * @returns {Array} Folders with name, most recent modified date and files
+ */
+function getManualFolders(files) {
+    const folders = new Map();
+    for (const file of files) {
+        if (!file.folder) continue;
+        const folder = folders.get(file.folder) || { name: file.folder, modified: file.modified, files: [] };
+        if (new Date(file.modified) > new Date(folder.modified)) {
+            folder.modified = file.modified;
+        }
+        folder.files.push(file);
+        folders.set(file.folder, folder);
+    }
+    return Array.from(folders.values());
+}
+
+// Torrents per request when loading the whole library
+const TORRENTS_PAGE_SIZE = 1000;
+
+/**
+ * Fetch the downloaded torrents of the whole Real-Debrid library through the response cache
+ * Served from the last snapshot when Real-Debrid is unavailable
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Array>} Torrents with id, filename, hash, bytes, added, ended and linkCount
+ *     (shared with other callers; do not modify)
+ */
+async function getDownloadedTorrents(c) {
+    const config = c.get('config');
+    return withSnapshotFallback(c, 'torrents', () => cache.cached(`${cache.userGroup('rd-torrents', config)}:all`, config.cacheTtlSeconds, async () => {
+        const downloaded = [];
+        let loaded = 0;
+        for (let page = 1; ; page++) {
+            const { torrents, totalCount } = await rdClient.getTorrentsList(config, TORRENTS_PAGE_SIZE, { page });
+            loaded += torrents.length;
+            for (const t of torrents) {
+                if (t.status !== 'downloaded' || !t.links || t.links.length === 0) continue;
+                // Only what the folders need, so the snapshot stays small
+                downloaded.push({ id: t.id, filename: t.filename, hash: t.hash, bytes: t.bytes || 0, added: t.added, ended: t.ended || null, linkCount: t.links.length });
+            }
+            if (torrents.length < TORRENTS_PAGE_SIZE || loaded >= totalCount) break;
+        }
+        await saveSnapshot(c, 'torrents', downloaded);
+        return downloaded;
+    }));
+}
+
+/**
+ * Get the Real-Debrid torrent library as WebDAV folders, most recently added first
+ * Only downloaded torrents are listed. Of torrents with the same name, the first added keeps
+ * the name and the others get their torrent ID appended, so existing paths never change.
+ */
+async function getTorrentFolders(c) {
+    let torrents;
+    try {
+        torrents = await getDownloadedTorrents(c);
+    } catch (error) {
+        logger.error('Error in getTorrentFolders', error);
+        return [];
+    }
+
+    const toName = (torrent) => (torrent.filename || torrent.hash).replace(/[\\/]+/g, ' ').trim();
+    const firstAdded = new Map();
+    for (const torrent of torrents) {
+        const name = toName(torrent);
+        const first = firstAdded.get(name);
+        if (!first || new Date(torrent.added) < new Date(first.added) ||
+            (torrent.added === first.added && torrent.id < first.id)) {
+            firstAdded.set(name, torrent);
+        }
+    }
+
+    return [...torrents]
+        .sort((a, b) => new Date(b.added) - new Date(a.added))
+        .map(torrent => {
+            const name = toName(torrent);
+            return {
+                name: firstAdded.get(name) === torrent ? name : `${name} (${torrent.id})`,
+                id: torrent.id,
+                modified: torrent.ended || torrent.added,
+                bytes: torrent.bytes,
+                fileCount: torrent.linkCount,
+            };
+        });
+}
+
+/**
+ * Get the downloaded files of one RD torrent as WebDAV files
+ * Links are stored and unrestricted by /play on first use
+ */
+async function getTorrentWebDAVFiles(c, folder) {
+    const config = c.get('config');
+    try {
+        const torrentInfo = await rdClient.getTorrentInfo(config, folder.id);
+        const links = torrentInfo.links || [];
+        // RD returns one link per selected file, in file order
+        const selectedFiles = (torrentInfo.files || []).filter(f => f.selected === 1);
+
+        const files = [];
+        for (let i = 0; i < links.length; i++) {
+            const selectedFile = selectedFiles.length === links.length ? selectedFiles[i] : null;
+            const originalFilename = selectedFile
+                ? (selectedFile.path || selectedFile.name).split('/').pop()
+                : `${torrentInfo.filename} ${i + 1}`;
+            const filesize = selectedFile ? (selectedFile.bytes || selectedFile.size || 0) : 0;
+
+            const strmId = rdClient.extractLinkId(links[i]);
+            if (!strmId) continue;
+            const strmUrl = await getPlayUrl(c, strmId);
+
+            files.push({
+                name: `${originalFilename}.strm`,
+                strmName: `${originalFilename}.strm`,
+                content: strmUrl,
+                size: strmUrl.length,
+                modified: torrentInfo.ended || torrentInfo.added || folder.modified,
+                contentType: 'text/plain; charset=utf-8',
+                originalFilename,
+                filesize,
+                strmId,
+            });
+        }
+        return files;
+    } catch (error) {
+        logger.error('Error in getTorrentWebDAVFiles', { error: error.message, stack: error.stack });
+        return [];
+    }
+}
+
+// --- Media Library ---
+// /library/ lists the downloads, DMM casts and manual entries under names media servers can match:
+// Movies/Title (Year)/Title (Year).strm and TV/Show/Season 02/Show - S02E05.strm
+
+/**
+ * Library folder and base name for a WebDAV file, from its parsed release name
+ * Bare episode names ("S01E01.mkv") take the show from their manual folder (the torrent name)
+ *
+ * @param {Object} file - WebDAV file from one of the file builders
+ * @returns {Object|null} { folders, baseName, release }, or null for non-video files and files without a title
+ */
+function getLibraryPath(file) {
+    const release = parseReleaseName(getDisplayFilename(file.originalFilename, file.displayName));
+    if (!VIDEO_EXTENSIONS.includes(release.extension)) return null;
+
+    let { title, year } = release;
+    if (!title && file.folder) {
+        const folderRelease = parseReleaseName(file.folder);
+        title = folderRelease.title;
+        year = year || folderRelease.year;
+    }
+    title = toSafeName(title);
+    if (!title) return null;
+
+    const name = year ? `${title} (${year})` : title;
+    if (release.type === 'episode') {
+        const season = String(release.season).padStart(2, '0');
+        // Multi-episode files are named by their first and last episode, e.g. S01E01-E03
+        const [first, last] = [release.episodes[0], release.episodes[release.episodes.length - 1]];
+        const episodes = [...new Set([first, last])].map(e => `E${String(e).padStart(2, '0')}`).join('-');
+        return { folders: ['TV', name, `Season ${season}`], baseName: `${name} - S${season}${episodes}`, release: { ...release, title, year } };
+    }
+    return { folders: ['Movies', name], baseName: name, release: { ...release, title, year } };
+}
+
+/**
+ * Get the library files: downloads, DMM casts and manual entries renamed from their release names
+ * Each link appears once (manual entries win over DMM casts over downloads); versions of
+ * the same title in different resolutions get a " - 2160p" suffix, as Jellyfin and Kodi expect
+ *
+ * @param {Object} c - Hono context
+ * @returns {Promise<Array>} WebDAV files with their library folder in `libraryFolder` and collection in `source`
+ */
+async function getLibraryFiles(c) {
+    const sources = [
+        ...(await getManualWebDAVFiles(c)).map(file => ({ ...file, source: 'manual' })),
+        ...(await getDMMCastWebDAVFiles(c)).map(file => ({ ...file, source: 'dmmcast' })),
+        ...(await getRealDebridWebDAVFiles(c)).map(file => ({ ...file, source: 'downloads' })),
+    ];
+
+    // Library path -> files with that path, most preferred first
+    const groups = new Map();
+    const seenIds = new Set();
+    for (const file of sources) {
+        if (file.strmId && seenIds.has(file.strmId)) continue;
+        const libraryPath = getLibraryPath(file);
+        if (!libraryPath) continue;
+        seenIds.add(file.strmId);
+
+        const key = [...libraryPath.folders, libraryPath.baseName].join('/');
+        groups.set(key, [...(groups.get(key) || []), { file, ...libraryPath }]);
+    }
+
+    const files = [];
+    for (const group of groups.values()) {
+        // One file per resolution
+        const versions = group.filter((entry, i) => group.findIndex(e => e.release.resolution === entry.release.resolution) === i);
+        versions.forEach(({ file, folders, baseName, release }, i) => {
+            const versionName = versions.length > 1 ? `${baseName} - ${release.resolution || `Version ${i + 1}`}` : baseName;
+            const name = `${versionName}.${file.proxy ? release.extension : 'strm'}`;
+            files.push({ ...file, name, strmName: `${versionName}.strm`, libraryFolder: folders.join('/'), release });
+        });
+    }
+    return files;
+}
+
+/**
+ * Arrange library files into nested folders
+ *
+ * @param {Array} files - Files from getLibraryFiles
+ * @returns {Object} Root folder: { name, modified, folders: Map of name to folder, files }
+ */
+function getLibraryTree(files) {
+    const root = { name: 'library', modified: null, folders: new Map(), files: [] };
+    for (const file of files) {
+        let folder = root;
+        for (const name of file.libraryFolder.split('/')) {
+            if (!folder.folders.has(name)) {
+                folder.folders.set(name, { name, modified: null, folders: new Map(), files: [] });
+            }
+            folder = folder.folders.get(name);
+            if (!folder.modified || new Date(file.modified) > new Date(folder.modified)) {
+                folder.modified = file.modified;
+            }
+        }
+        folder.files.push(file);
+    }
+    addLibrarySidecars(root);
+    // Both top-level folders exist even when empty, so media server libraries can point at them
+    for (const name of ['Movies', 'TV']) {
+        if (!root.folders.has(name)) {
+            root.folders.set(name, { name, modified: null, folders: new Map(), files: [] });
+        }
+    }
+    return root;
+}
+
+function addLibrarySidecars(folder) {
+    folder.files = withSidecars(folder.files);
+    folder.folders.forEach(addLibrarySidecars);
+}
+
+/**
+ * Find a folder or file in the library tree
+ *
+ * @param {Object} root - Root folder from getLibraryTree
+ * @param {Array<string>} segments - Path segments below /library/
+ * @returns {{folder: Object}|{file: Object, folder: Object}|null} Folder, or file with its folder
+ */
+function findLibraryNode(root, segments) {
+    let folder = root;
+    for (let i = 0; i < segments.length; i++) {
+        const child = folder.folders.get(segments[i]);
+        if (child) {
+            folder = child;
+            continue;
+        }
+        const file = i === segments.length - 1 ? folder.files.find(f => f.name === segments[i]) : null;
+        return file ? { file, folder } : null;
+    }
+    return { folder };
+}
+
+// --- WebDAV Resource Tree ---
+
+/**
+ * Build a WebDAV file resource from a WebDAV file object or static asset
+ */
+function fileResource(basePath, file) {
+    return {
+        href: `${basePath}${encodeURIComponent(file.name)}`,
+        name: file.name,
+        collection: false,
+        size: file.size,
+        modified: file.modified,
+        contentType: file.contentType,
+    };
+}
+
+/**
+ * Build a WebDAV collection resource; children are only loaded when needed
+ */
+function collectionResource(href, name, modified, getChildren) {
+    return { href, name, collection: true, modified: modified || new Date().toISOString(), getChildren };
+}
+
+// Top-level collections: .strm (or media) files and sidecars, plus the static artwork in public/{name}/
+const WEBDAV_COLLECTIONS = {
+    downloads: async (c) => withSidecars(await getRealDebridWebDAVFiles(c), 'downloads'),
+    dmmcast: async (c) => withSidecars(await getDMMCastWebDAVFiles(c), 'dmmcast'),
+};
+
+function downloadMonthResource(c, month) {
+    const href = `/downloads/${month.name}/`;
+    return collectionResource(href, month.name, month.modified,
+        async () => withSidecars(await getRealDebridWebDAVFiles(c, month.name), 'downloads').map(file => fileResource(href, file)));
+}
+
+function manualFolderResource(c, folder) {
+    const href = `/manual/${encodeURIComponent(folder.name)}/`;
+    return collectionResource(href, folder.name, folder.modified,
+        async () => withSidecars(folder.files, 'manual').map(file => fileResource(href, file)));
+}
+
+function libraryFolderResource(href, folder) {
+    return collectionResource(href, folder.name, folder.modified, async () => [
+        ...[...folder.folders.values()].map(child => libraryFolderResource(`${href}${encodeURIComponent(child.name)}/`, child)),
+        ...folder.files.map(file => fileResource(href, file)),
+    ]);
+}
+
+function torrentFolderResource(c, folder) {
+    const href = `/torrents/${encodeURIComponent(folder.name)}/`;
+    return collectionResource(href, folder.name, folder.modified,
+        async () => withSidecars(await getTorrentWebDAVFiles(c, folder), 'torrents').map(file => fileResource(href, file)));
+}
+
+/**
+ * Resolve a request path to a WebDAV resource
+ *
+ * @param {Object} c - Hono context
+ * @param {string} pathname - Request path
+ * @returns {Promise<Object|null>} Resource, or null if nothing exists at the path
+ */
+async function resolveWebDAVResource(c, pathname) {
+    const segments = getPathSegments(pathname);
+    const env = getEnv(c);
+    const [collection, name, nestedName] = segments;
+
+    if (segments.length === 0) {
+        // Top-level collections only load their contents when listed themselves
+        return collectionResource('/', '', null, async () => directories.map(path =>
+            collectionResource(`${path}/`, path.slice(1), null,
+                async () => (await resolveWebDAVResource(c, `${path}/`)).getChildren())));
+    }
+
+    // /downloads/ lists the most recent downloads; the month folders hold the whole history
+    if (collection === 'downloads' && DOWNLOAD_MONTH_PATTERN.test(name || '') && segments.length <= 3) {
+        const month = (await getDownloadMonths(c)).find(m => m.name === name);
+        if (!month || !nestedName) {
+            return month ? downloadMonthResource(c, month) : null;
+        }
+        const file = withSidecars(await getRealDebridWebDAVFiles(c, month.name), 'downloads').find(f => f.name === nestedName);
+        return file ? fileResource(`/downloads/${month.name}/`, file) : null;
+    }
+
+    if (WEBDAV_COLLECTIONS[collection] && segments.length <= 2) {
+        const href = `/${collection}/`;
+        const loadFiles = async () => [
+            ...await WEBDAV_COLLECTIONS[collection](c),
+            ...await getAssetsInDirectory(collection, env),
+        ];
+        if (!name) {
+            return collectionResource(href, collection, null, async () => [
+                ...(collection === 'downloads' ? (await getDownloadMonths(c)).map(month => downloadMonthResource(c, month)) : []),
+                ...(await loadFiles()).map(file => fileResource(href, file)),
+            ]);
+        }
+        const file = (await loadFiles()).find(f => f.name === name);
+        return file ? fileResource(href, file) : null;
+    }
+
+    if (collection === 'manual' && segments.length <= 3) {
+        const manualFiles = await getManualWebDAVFiles(c);
+        const folders = getManualFolders(manualFiles);
+        const rootFiles = [...withSidecars(manualFiles.filter(f => !f.folder), 'manual'), ...await getAssetsInDirectory('manual', env)];
+
+        if (!name) {
+            return collectionResource('/manual/', 'manual', null, async () => [
+                ...folders.map(folder => manualFolderResource(c, folder)),
+                ...rootFiles.map(file => fileResource('/manual/', file)),
+            ]);
+        }
+        const folder = folders.find(f => f.name === name);
+        if (nestedName) {
+            const file = folder && withSidecars(folder.files, 'manual').find(f => f.name === nestedName);
+            return file ? fileResource(`/manual/${encodeURIComponent(folder.name)}/`, file) : null;
+        }
+        if (folder) {
+            return manualFolderResource(c, folder);
+        }
+        const file = rootFiles.find(f => f.name === name);
+        return file ? fileResource('/manual/', file) : null;
+    }
+
+    if (collection === 'library') {
+        const node = findLibraryNode(getLibraryTree(await getLibraryFiles(c)), segments.slice(1));
+        if (!node) return null;
+        const folderSegments = segments.slice(1, node.file ? -1 : undefined);
+        const href = `/library/${folderSegments.map(segment => `${encodeURIComponent(segment)}/`).join('')}`;
+        return node.file ? fileResource(href, node.file) : libraryFolderResource(href, node.folder);
+    }
+
+    if (collection === 'torrents' && segments.length <= 3) {
+        const folders = await getTorrentFolders(c);
+        if (!name) {
+            return collectionResource('/torrents/', 'torrents', null,
+                async () => folders.map(folder => torrentFolderResource(c, folder)));
+        }
+        const folder = folders.find(f => f.name === name);
+        if (!folder) return null;
+        if (!nestedName) {
+            return torrentFolderResource(c, folder);
+        }
+        const href = `/torrents/${encodeURIComponent(folder.name)}/`;
+        const file = withSidecars(await getTorrentWebDAVFiles(c, folder), 'torrents').find(f => f.name === nestedName);
+        return file ? fileResource(href, file) : null;
+    }
+
+    return null;
+}
+
+// OPTIONS * - Advertise WebDAV support (sent unauthenticated by some clients)
+app.options('*', (c) => new Response(null, { status: 200, headers: DAV_HEADERS }));
+
+// Collections whose subtree takes upstream calls per child (torrent info, download history);
+// Depth: infinity is refused on them
+const FINITE_DEPTH_PATHS = ['/', '/torrents', '/downloads'];
+
+// PROPFIND * - Properties of any resource in the WebDAV tree (Depth 0, 1 or infinity)
+app.on(['PROPFIND'], '*', async (c) => {
+    const propfind = parsePropfind(await c.req.text());
+    if (!propfind) {
+        return c.text('Malformed PROPFIND request body', 400);
+    }
+
+    // A missing Depth header means infinity
+    const depth = parseDepth(c.req.header('Depth'));
+    if (depth === Infinity && FINITE_DEPTH_PATHS.includes(`/${getPathSegments(c.req.path).join('/')}`)) {
+        return finiteDepthResponse();
+    }
 
-        // Convert map to array and remove temporary timestamp field
-        const files = Array.from(filesMap.values()).map(file => {
-            const { modifiedTimestamp, ...cleanFile } = file;
-            return cleanFile;
-        });
+    const resource = await resolveWebDAVResource(c, c.req.path);
+    if (!resource) {
+        return c.text('Not found', 404);
+    }
 
-        return files;
-    } catch (error) {
-        console.error('Error in getDMMCastWebDAVFiles:', error.message, error.stack);
-        return [];
+    // Share URLs: children are listed with the signature, like links in the HTML listings
+    return propfindResponse(resource, depth, propfind, shareQuery(c));
+});
+
+// --- WebDAV Locks ---
+// Finder and Windows only mount shares as writable when LOCK succeeds
+
+/**
+ * Normalize a request path into a lock table key, e.g. /manual/My Show
+ */
+function toLockPath(pathname) {
+    return `/${getPathSegments(pathname).join('/')}`;
+}
+
+/**
+ * Find the locks covering a path: locks on the path itself and Depth: infinity locks on its parents
+ *
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {string} lockPath - Path from toLockPath
+ * @returns {Promise<Array<Object>>} Active locks
+ */
+async function getActiveLocks(env, lockPath) {
+    const segments = lockPath.split('/').filter(Boolean);
+    const locks = [];
+    for (let i = segments.length; i >= 0; i--) {
+        const pathLocks = await storage.getLocks(env, `/${segments.slice(0, i).join('/')}`);
+        locks.push(...pathLocks.filter(lock => i === segments.length || lock.depth === 'infinity'));
     }
+    return locks;
 }
 
-// PROPFIND / - WebDAV root showing directories
-app.on(['PROPFIND'], '/', async (c) => {
-    const depth = c.req.header('Depth') || '0';
-    const requestUrl = new URL(c.req.url);
-    const requestPath = requestUrl.pathname;
+/**
+ * Find the covering lock whose token a request submits in its If header
+ *
+ * @param {Object} c - Hono context
+ * @param {Array<Object>} locks - Locks from getActiveLocks
+ * @returns {Object|undefined} Submitted lock
+ */
+function getSubmittedLock(c, locks) {
+    const tokens = parseLockTokens(c.req.header('If'));
+    return locks.find(lock => tokens.includes(lock.token));
+}
 
-    const directories = [
-        { name: 'downloads/', modified: new Date().toUTCString() },
-        { name: 'dmmcast/', modified: new Date().toUTCString() }
-    ];
+/**
+ * Check that a request may modify a path: it is unlocked, or the If header submits one of its lock tokens
+ *
+ * @param {Object} c - Hono context
+ * @param {string} pathname - Request or destination path
+ * @returns {Promise<boolean>} True if the path is locked by someone else
+ */
+async function isLocked(c, pathname) {
+    const locks = await getActiveLocks(getEnv(c), toLockPath(pathname));
+    return locks.length > 0 && !getSubmittedLock(c, locks);
+}
 
-    const responses = directories.map(dir => `
-      <D:response>
-        <D:href>${requestPath}${dir.name}</D:href>
-        <D:propstat>
-          <D:prop>
-            <D:resourcetype><D:collection/></D:resourcetype>
-            <D:getlastmodified>${dir.modified}</D:getlastmodified>
-          </D:prop>
-          <D:status>HTTP/1.1 200 OK</D:status>
-        </D:propstat>
-      </D:response>`).join('');
-
-    const collectionResponse = `
-      <D:response>
-        <D:href>${requestPath}</D:href>
-        <D:propstat>
-          <D:prop>
-            <D:resourcetype><D:collection/></D:resourcetype>
-            <D:getlastmodified>${new Date().toUTCString()}</D:getlastmodified>
-          </D:prop>
-          <D:status>HTTP/1.1 200 OK</D:status>
-        </D:propstat>
-      </D:response>`;
-
-    const xml = `<?xml version="1.0" encoding="utf-8"?>
-<D:multistatus xmlns:D="DAV:">
-${depth !== '0' ? responses : ''}${collectionResponse}
-</D:multistatus>`;
-
-    return new Response(xml, { status: 207, headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
-});
-
-// PROPFIND /downloads/ - WebDAV endpoint for Real-Debrid download links
-app.on(['PROPFIND'], ['/downloads', '/downloads/'], async (c) => {
-    const files = await getRealDebridWebDAVFiles(c);
-    const depth = c.req.header('Depth') || '0';
-    const requestUrl = new URL(c.req.url);
-    const requestPath = '/downloads/'; // Always use trailing slash in response
+/**
+ * Replace a lock among the locks stored for its path, or remove it
+ *
+ * @param {Object} env - Environment
+ * @param {Object} lock - Lock to replace or remove (matched by token)
+ * @param {Object} [replacement] - New version of the lock
+ */
+async function updateLock(env, lock, replacement) {
+    const locks = (await storage.getLocks(env, lock.path)).filter(other => other.token !== lock.token);
+    await storage.saveLocks(env, lock.path, replacement ? [...locks, replacement] : locks);
+}
 
+// LOCK * - Create or refresh a write lock
+app.on(['LOCK'], '*', async (c) => {
     const env = getEnv(c);
-    const downloadsStaticFiles = await getAssetsInDirectory('downloads', env);
-    const allFiles = [...files, ...downloadsStaticFiles];
-
-    const responses = allFiles.map(file => `
-      <D:response>
-        <D:href>${requestPath}${encodeURIComponent(file.name)}</D:href>
-        <D:propstat>
-          <D:prop>
-            <D:displayname>${file.name}</D:displayname>
-            <D:resourcetype/>
-            <D:getcontentlength>${file.size}</D:getcontentlength>
-            <D:getlastmodified>${new Date(file.modified).toUTCString()}</D:getlastmodified>
-            <D:getcontenttype>${file.contentType}</D:getcontenttype>
-          </D:prop>
-          <D:status>HTTP/1.1 200 OK</D:status>
-        </D:propstat>
-      </D:response>`).join('');
-
-    const collectionResponse = `
-      <D:response>
-        <D:href>${requestPath}</D:href>
-        <D:propstat>
-          <D:prop>
-            <D:resourcetype><D:collection/></D:resourcetype>
-            <D:getlastmodified>${new Date().toUTCString()}</D:getlastmodified>
-          </D:prop>
-          <D:status>HTTP/1.1 200 OK</D:status>
-        </D:propstat>
-      </D:response>`;
-
-    const xml = `<?xml version="1.0" encoding="utf-8"?>
-<D:multistatus xmlns:D="DAV:">
-${depth !== '0' ? responses : ''}${collectionResponse}
-</D:multistatus>`;
-
-    return new Response(xml, { status: 207, headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
-});
-
-// PROPFIND /dmmcast/ - WebDAV endpoint for DMM Cast
-app.on(['PROPFIND'], ['/dmmcast', '/dmmcast/'], async (c) => {
-    const files = await getDMMCastWebDAVFiles(c);
-    const depth = c.req.header('Depth') || '0';
-    const requestUrl = new URL(c.req.url);
-    const requestPath = '/dmmcast/'; // Always use trailing slash in response
+    const lockPath = toLockPath(c.req.path);
+    const lockInfo = parseLockInfo(await c.req.text());
+    const timeout = parseTimeout(c.req.header('Timeout'));
+
+    // An empty body refreshes the lock named in the If header
+    if (!lockInfo) {
+        const lock = getSubmittedLock(c, await getActiveLocks(env, lockPath));
+        if (!lock) {
+            return c.text('No matching lock to refresh', 412);
+        }
+        lock.timeout = timeout;
+        lock.expiresAt = new Date(Date.now() + timeout * 1000).toISOString();
+        await updateLock(env, lock, lock);
+        return lockResponse(lock);
+    }
+
+    // Shared locks can be held together; an exclusive lock excludes every other lock (RFC 4918 §6.2)
+    const depth = c.req.header('Depth') === '0' ? '0' : 'infinity';
+    const conflicts = locks => locks.some(lock => lockInfo.scope === 'exclusive' || lock.scope === 'exclusive');
+    if (conflicts(await getActiveLocks(env, lockPath))
+        || (depth === 'infinity' && conflicts(await storage.getLocksBelow(env, lockPath)))) {
+        return c.text('Resource is locked', 423);
+    }
+    const resource = await resolveWebDAVResource(c, c.req.path);
+    if (!resource) {
+        return c.text('Not found', 404);
+    }
 
+    const lock = {
+        path: lockPath,
+        href: resource.href,
+        token: `opaquelocktoken:${crypto.randomUUID()}`,
+        scope: lockInfo.scope,
+        depth,
+        owner: lockInfo.owner,
+        timeout,
+        expiresAt: new Date(Date.now() + timeout * 1000).toISOString(),
+    };
+    await updateLock(env, lock, lock);
+    logger.debug(`Locked ${lockPath} (${lock.scope}) for ${timeout}s`);
+    return lockResponse(lock);
+});
+
+// UNLOCK * - Release a lock by its token
+app.on(['UNLOCK'], '*', async (c) => {
     const env = getEnv(c);
-    const dmmcastStaticFiles = await getAssetsInDirectory('dmmcast', env);
-    const allFiles = [...files, ...dmmcastStaticFiles];
-
-    const responses = allFiles.map(file => `
-      <D:response>
-        <D:href>${requestPath}${encodeURIComponent(file.name)}</D:href>
-        <D:propstat>
-          <D:prop>
-            <D:displayname>${file.name}</D:displayname>
-            <D:resourcetype/>
-            <D:getcontentlength>${file.size}</D:getcontentlength>
-            <D:getlastmodified>${new Date(file.modified).toUTCString()}</D:getlastmodified>
-            <D:getcontenttype>${file.contentType}</D:getcontenttype>
-          </D:prop>
-          <D:status>HTTP/1.1 200 OK</D:status>
-        </D:propstat>
-      </D:response>`).join('');
-
-    const collectionResponse = `
-      <D:response>
-        <D:href>${requestPath}</D:href>
-        <D:propstat>
-          <D:prop>
-            <D:resourcetype><D:collection/></D:resourcetype>
-            <D:getlastmodified>${new Date().toUTCString()}</D:getlastmodified>
-          </D:prop>
-          <D:status>HTTP/1.1 200 OK</D:status>
-        </D:propstat>
-      </D:response>`;
-
-    const xml = `<?xml version="1.0" encoding="utf-8"?>
-<D:multistatus xmlns:D="DAV:">
-${depth !== '0' ? responses : ''}${collectionResponse}
-</D:multistatus>`;
-
-    return new Response(xml, { status: 207, headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
-});
-
-
-
-
-// GET /downloads/ - HTML listing for Real-Debrid download links
-// GET /downloads/ - HTML listing for Real-Debrid download links
+    const [token] = parseLockTokens(c.req.header('Lock-Token'));
+    const lock = (await getActiveLocks(env, toLockPath(c.req.path))).find(lock => lock.token === token);
+
+    if (!lock) {
+        return c.text('Lock token does not match a lock on this resource', 409);
+    }
+
+    await updateLock(env, lock);
+    logger.debug(`Unlocked ${lock.path}`);
+    return new Response(null, { status: 204 }); // No Content
+});
+
+/**
+ * Link to a page of the /downloads/ HTML listing, keeping the signature of shared listings
+ *
+ * @param {Object} c - Hono context
+ * @param {number} page - Page number
+ * @returns {string} URL
+ */
+function downloadsPageUrl(c, page) {
+    const params = new URLSearchParams(shareQuery(c));
+    params.set('page', page);
+    return `/downloads/?${params}`;
+}
+
+// GET /downloads/ - HTML listing for Real-Debrid download links, DOWNLOADS_LIMIT per ?page=
 app.get('/downloads/', async (c) => {
-    const config = c.get('config');
-    const rdDownloads = await getRealDebridDownloads(config);
+    const page = Math.max(1, parseInt(c.req.query('page')) || 1);
+    const { downloads: rdDownloads, totalCount } = await getRealDebridDownloads(c, page);
+    const pageCount = Math.max(1, Math.ceil(totalCount / c.get('config').downloadsLimit));
+    if (page > pageCount) {
+        return c.redirect(downloadsPageUrl(c, pageCount));
+    }
     const content = `
-		${pageHeader('Cast Magnet Link: Downloads', '<small>source: <a href="https://real-debrid.com/downloads" target="_blank">real-debrid.com/downloads</a></small>')}
+		${statusHeader(null, null, 'Cast Magnet Link: Downloads', '<small>source: <a href="https://real-debrid.com/downloads" target="_blank">real-debrid.com/downloads</a></small>', getStaleWarning(c))}
 		<div class="status-info">
 			<h3>Available Files:</h3>
 			<ul>
@@ -791,32 +2948,67 @@ app.get('/downloads/', async (c) => {
                     ${d.filename}
                     <small class="nowrap">
                         <a href="${d.downloadUrl}" target="_blank"><code>${formatBytes(d.filesize || 0)}</code></a>
-                        &nbsp;<a href="/downloads/${encodeURIComponent(d.filename + '.strm').replace(/%7B/g, '{').replace(/%7D/g, '}')}"><code>1 KB .strm</code></a>
+                        &nbsp;<a href="/downloads/${encodeURIComponent(d.filename + '.strm').replace(/%7B/g, '{').replace(/%7D/g, '}')}${shareQuery(c)}"><code>1 KB .strm</code></a>
                     </small>
                 </li>
 				`).join('')}
 			</ul>
+			${pageCount > 1 ? `
+			<p><small>
+				${page > 1 ? `<a href="${downloadsPageUrl(c, page - 1)}">&larr; newer</a> &nbsp;` : ''}
+				page ${page} of ${pageCount}
+				${page < pageCount ? `&nbsp; <a href="${downloadsPageUrl(c, page + 1)}">older &rarr;</a>` : ''}
+			</small></p>
+			` : ''}
 		</div>
 		${footer()}
 	`;
     return c.html(layout('Downloads', content));
 });
 
+// GET /downloads/:month/ - HTML listing for one month of the Real-Debrid download history
+app.get('/downloads/:month/', async (c) => {
+    const month = c.req.param('month');
+    if (!DOWNLOAD_MONTH_PATTERN.test(month)) {
+        return c.text('Not found', 404);
+    }
+
+    const files = await getRealDebridWebDAVFiles(c, month);
+    const content = `
+		${pageHeader(`Cast Magnet Link: Downloads ${month}`, '<small>source: <a href="/downloads/">downloads</a></small>')}
+		<div class="status-info">
+			<h3>Available Files:</h3>
+			<ul>
+				${files.map(file => `
+				<li>
+                    ${file.originalFilename}
+                    <small class="nowrap">
+                        <a href="${file.downloadUrl}" target="_blank"><code>${formatBytes(file.filesize || 0)}</code></a>
+                        &nbsp;<a href="/downloads/${month}/${encodeURIComponent(file.name).replace(/%7B/g, '{').replace(/%7D/g, '}')}${shareQuery(c)}"><code>1 KB .strm</code></a>
+                    </small>
+                </li>
+				`).join('')}
+			</ul>
+		</div>
+		${footer()}
+	`;
+    return c.html(layout(`Downloads ${month}`, content));
+});
+
 // GET /dmmcast/ - HTML listing for DMM Cast
 app.get('/dmmcast/', async (c) => {
-    const config = c.get('config');
-    const castedLinks = await getCastedLinks(config);
+    const castedLinks = await getCastedLinks(c, await getDisplayNames(c));
     const content = `
-		${pageHeader('Cast Magnet Link: DMM Cast', '<small>source: <a href="https://debridmediamanager.com/stremio/manage" target="_blank">debridmediamanager.com/stremio/manage</a></small>')}
+		${statusHeader(null, null, 'Cast Magnet Link: DMM Cast', '<small>source: <a href="https://debridmediamanager.com/stremio/manage" target="_blank">debridmediamanager.com/stremio/manage</a></small>', getStaleWarning(c))}
 		<div class="status-info">
 			<h3>Available Files:</h3>
 			<ul>
 				${castedLinks.map(link => `
 				<li>
-                    ${link.filename}
+                    ${getDisplayFilename(link.filename, link.displayName)}
                     <small class="nowrap">
                         <a href="${link.url}" target="_blank"><code>${link.sizeGB} GB</code></a>
-                        &nbsp;<a href="/dmmcast/${encodeURIComponent(link.strmFilename).replace(/%7B/g, '{').replace(/%7D/g, '}')}"><code>1 KB .strm</code></a>
+                        &nbsp;<a href="/dmmcast/${encodeURIComponent(link.strmFilename).replace(/%7B/g, '{').replace(/%7D/g, '}')}${shareQuery(c)}"><code>1 KB .strm</code></a>
                     </small>
                 </li>
 				`).join('')}
@@ -827,6 +3019,165 @@ app.get('/dmmcast/', async (c) => {
     return c.html(layout('DMM Cast', content));
 });
 
+// GET /manual/ - HTML listing for manually added magnets
+app.get('/manual/', async (c) => {
+    const manualFiles = await getManualWebDAVFiles(c);
+    const files = manualFiles.filter(file => !file.folder);
+    const folders = getManualFolders(manualFiles);
+
+    const fileItem = (file, basePath) => `
+				<li>
+                    ${getDisplayFilename(file.originalFilename, file.displayName)}
+                    <small class="nowrap">
+                        <a href="${file.downloadUrl}" target="_blank"><code>${formatBytes(file.filesize || 0)}</code></a>
+                        &nbsp;<a href="${basePath}${encodeURIComponent(file.name).replace(/%7B/g, '{').replace(/%7D/g, '}')}${shareQuery(c)}"><code>1 KB .strm</code></a>
+                    </small>
+                </li>`;
+
+    const content = `
+		${pageHeader('Cast Magnet Link: Manual', '<small>source: <a href="/add">add magnet link</a></small>')}
+		<div class="status-info">
+			<h3>Available Files:</h3>
+			<ul>
+				${files.map(file => fileItem(file, '/manual/')).join('')}
+			</ul>
+			${folders.map(folder => `
+			<h3><a href="/manual/${encodeURIComponent(folder.name)}/${shareQuery(c)}">${folder.name}/</a></h3>
+			<ul>
+				${folder.files.map(file => fileItem(file, `/manual/${encodeURIComponent(folder.name)}/`)).join('')}
+			</ul>
+			`).join('')}
+		</div>
+		${footer()}
+	`;
+    return c.html(layout('Manual', content));
+});
+
+// GET /manual/:folder/ - HTML listing for a multi-file add
+app.get('/manual/:folder/', async (c) => {
+    const folderName = c.req.param('folder');
+    const folder = getManualFolders(await getManualWebDAVFiles(c)).find(f => f.name === folderName);
+    if (!folder) {
+        return c.text('Not found', 404);
+    }
+
+    const basePath = `/manual/${encodeURIComponent(folder.name)}/`;
+    const content = `
+		${pageHeader(`Cast Magnet Link: ${folder.name}`, '<small>source: <a href="/manual/">manual</a></small>')}
+		<div class="status-info">
+			<h3>Available Files:</h3>
+			<ul>
+				${folder.files.map(file => `
+				<li>
+                    ${getDisplayFilename(file.originalFilename, file.displayName)}
+                    <small class="nowrap">
+                        <a href="${file.downloadUrl}" target="_blank"><code>${formatBytes(file.filesize || 0)}</code></a>
+                        &nbsp;<a href="${basePath}${encodeURIComponent(file.name).replace(/%7B/g, '{').replace(/%7D/g, '}')}${shareQuery(c)}"><code>1 KB .strm</code></a>
+                    </small>
+                </li>
+				`).join('')}
+			</ul>
+		</div>
+		${footer()}
+	`;
+    return c.html(layout(folder.name, content));
+});
+
+// GET /torrents/ - HTML listing for the Real-Debrid torrent library
+app.get('/torrents/', async (c) => {
+    const folders = await getTorrentFolders(c);
+    const content = `
+		${pageHeader('Cast Magnet Link: Torrents', '<small>source: <a href="https://real-debrid.com/torrents" target="_blank">real-debrid.com/torrents</a></small>')}
+		<div class="status-info">
+			<h3>Available Torrents:</h3>
+			<ul>
+				${folders.map(folder => `
+				<li>
+                    <a href="/torrents/${encodeURIComponent(folder.name)}/${shareQuery(c)}">${folder.name}</a>
+                    <small class="nowrap"><code>${formatBytes(folder.bytes || 0)}</code> <code>${folder.fileCount} ${folder.fileCount === 1 ? 'file' : 'files'}</code></small>
+                </li>
+				`).join('')}
+			</ul>
+		</div>
+		${footer()}
+	`;
+    return c.html(layout('Torrents', content));
+});
+
+// GET /torrents/:folder/ - HTML listing for one RD torrent
+app.get('/torrents/:folder/', async (c) => {
+    const folderName = c.req.param('folder');
+    const folder = (await getTorrentFolders(c)).find(f => f.name === folderName);
+    if (!folder) {
+        return c.text('Not found', 404);
+    }
+
+    const files = await getTorrentWebDAVFiles(c, folder);
+    const basePath = `/torrents/${encodeURIComponent(folder.name)}/`;
+    const content = `
+		${pageHeader(`Cast Magnet Link: ${folder.name}`, '<small>source: <a href="/torrents/">torrents</a></small>')}
+		<div class="status-info">
+			<h3>Available Files:</h3>
+			<ul>
+				${files.map(file => `
+				<li>
+                    ${file.originalFilename}
+                    <small class="nowrap">
+                        <code>${formatBytes(file.filesize || 0)}</code>
+                        &nbsp;<a href="${basePath}${encodeURIComponent(file.name).replace(/%7B/g, '{').replace(/%7D/g, '}')}${shareQuery(c)}"><code>1 KB .strm</code></a>
+                    </small>
+                </li>
+				`).join('')}
+			</ul>
+		</div>
+		${footer()}
+	`;
+    return c.html(layout(folder.name, content));
+});
+
+// GET /library/* - HTML listing of a library folder, or a library .strm file or proxied media
+app.get('/library/*', async (c) => {
+    const pathname = new URL(c.req.url).pathname;
+    const segments = getPathSegments(pathname).slice(1);
+    const node = findLibraryNode(getLibraryTree(await getLibraryFiles(c)), segments);
+    if (!node) {
+        return c.text('Not found', 404);
+    }
+
+    if (node.file) {
+        const response = await serveWebDAVFile(c, node.folder.files, node.file.name);
+        return response || c.text('File not found', 404);
+    }
+    if (!pathname.endsWith('/')) {
+        return c.redirect(`${pathname}/${shareQuery(c)}`, 301);
+    }
+
+    const { folder } = node;
+    const title = segments.length ? segments.join(' / ') : 'Library';
+    const content = `
+		${pageHeader(`Cast Magnet Link: ${title}`, '<small>source: <a href="/downloads/">downloads</a>, <a href="/dmmcast/">DMM Cast</a> and <a href="/manual/">manual</a>, named for media servers</small>')}
+		<div class="status-info">
+			<h3>${folder.folders.size ? 'Folders' : 'Available Files'}:</h3>
+			<ul>
+				${[...folder.folders.values()].map(child => `
+				<li><a href="${pathname}${encodeURIComponent(child.name)}/${shareQuery(c)}">${child.name}/</a></li>
+				`).join('')}
+				${folder.files.filter(file => !file.sidecar).map(file => `
+				<li>
+                    ${file.name}
+                    <small class="nowrap">
+                        <code>${formatBytes(file.filesize || 0)}</code>
+                        &nbsp;<a href="${pathname}${encodeURIComponent(file.strmName)}${shareQuery(c)}"><code>1 KB .strm</code></a>
+                    </small>
+                </li>
+				`).join('')}
+			</ul>
+		</div>
+		${footer()}
+	`;
+    return c.html(layout(segments.length ? segments[segments.length - 1] : 'Library', content));
+});
+
 // --- Static File Serving ---
 // Dynamically serve files from R2 (if configured) or bundled assets
 
@@ -848,10 +3199,15 @@ app.get('/public/*', async (c) => {
 // Removed generic /webdav/:directory/:filename route
 // Static files are now handled in the specific routes below
 
-// GET /downloads/:filename - Serve .strm files from Real-Debrid download links or static files
+// GET /downloads/:filename - Serve .strm files or media from Real-Debrid download links, or static files
 app.get('/downloads/:filename', async (c) => {
     const { filename } = c.req.param();
 
+    // Month folder requested without its trailing slash
+    if (DOWNLOAD_MONTH_PATTERN.test(filename)) {
+        return c.redirect(`/downloads/${filename}/`, 301);
+    }
+
     // First, try to serve as static file
     if (!filename.endsWith('.strm')) {
         const env = getEnv(c);
@@ -860,25 +3216,26 @@ app.get('/downloads/:filename', async (c) => {
         if (response) {
             return response;
         }
-        // If not found as static file, continue to .strm handling
+        // If not found as static file, continue to .strm and media handling
     }
 
-    // Handle .strm files
-    const files = await getRealDebridWebDAVFiles(c);
-    const file = files.find(f => f.name === filename);
-
-    if (!file) {
-        return c.text('File not found', 404);
-    }
-
-    if (filename.endsWith('.strm')) {
-        return c.text(file.content, 200, { 'Content-Type': 'text/plain; charset=utf-8' });
-    }
+    // Handle .strm files and proxied media
+    const files = withSidecars(await getRealDebridWebDAVFiles(c), 'downloads');
+    const response = await serveWebDAVFile(c, files, filename);
+    return response || c.text('File not found', 404);
+});
 
-    return c.text('File type not supported for direct GET', 400);
+// GET /downloads/:month/:filename - Serve .strm files or media from one month of the download history
+app.get('/downloads/:month/:filename', async (c) => {
+    const { month, filename } = c.req.param();
+    const files = DOWNLOAD_MONTH_PATTERN.test(month)
+        ? withSidecars(await getRealDebridWebDAVFiles(c, month), 'downloads')
+        : [];
+    const response = await serveWebDAVFile(c, files, filename);
+    return response || c.text('File not found', 404);
 });
 
-// GET /dmmcast/:filename - Serve .strm files from DMM Cast or static files
+// GET /dmmcast/:filename - Serve .strm files or media from DMM Cast, or static files
 app.get('/dmmcast/:filename', async (c) => {
     const { filename } = c.req.param();
 
@@ -890,66 +3247,272 @@ app.get('/dmmcast/:filename', async (c) => {
         if (response) {
             return response;
         }
-        // If not found as static file, continue to .strm handling
+        // If not found as static file, continue to .strm and media handling
+    }
+
+    // Handle .strm files and proxied media
+    const files = withSidecars(await getDMMCastWebDAVFiles(c), 'dmmcast');
+    const response = await serveWebDAVFile(c, files, filename);
+    return response || c.text('File not found', 404);
+});
+
+// GET /manual/:filename - Serve .strm files or media for manually added magnets, or static files
+app.get('/manual/:filename', async (c) => {
+    const { filename } = c.req.param();
+
+    // First, try to serve as static file
+    if (!filename.endsWith('.strm')) {
+        const env = getEnv(c);
+        const response = await serveAsset(`manual/${filename}`, env);
+        if (response) {
+            return response;
+        }
+    }
+
+    const manualFiles = await getManualWebDAVFiles(c);
+    const response = await serveWebDAVFile(c, withSidecars(manualFiles.filter(f => !f.folder), 'manual'), filename);
+    if (response) {
+        return response;
+    }
+
+    // A folder requested without its trailing slash
+    if (getManualFolders(manualFiles).some(f => f.name === filename)) {
+        return c.redirect(`/manual/${encodeURIComponent(filename)}/`, 301);
+    }
+    return c.text('File not found', 404);
+});
+
+// GET /manual/:folder/:filename - Serve .strm files or media from a multi-file add
+app.get('/manual/:folder/:filename', async (c) => {
+    const { folder, filename } = c.req.param();
+    const files = await getManualWebDAVFiles(c);
+    const response = await serveWebDAVFile(c, withSidecars(files.filter(f => f.folder === folder), 'manual'), filename);
+    return response || c.text('File not found', 404);
+});
+
+// DELETE /manual/* - Remove a manually added entry (or a whole folder) via WebDAV
+app.on(['DELETE'], '/manual/*', async (c) => {
+    const fullPath = new URL(c.req.url).pathname;
+    const [folderOrFile, nestedFile] = getPathSegments(fullPath).slice(1);
+
+    if (await isLocked(c, fullPath)) {
+        return c.text('Resource is locked', 423);
+    }
+
+    try {
+        const manualFiles = await getManualWebDAVFiles(c);
+        let targets;
+        if (nestedFile) {
+            targets = manualFiles.filter(f => f.folder === folderOrFile && (f.name === nestedFile || f.strmName === nestedFile));
+        } else {
+            // Either a top-level file or a folder (with or without trailing slash)
+            targets = manualFiles.filter(f => !f.folder && (f.name === folderOrFile || f.strmName === folderOrFile));
+            if (targets.length === 0) {
+                targets = manualFiles.filter(f => f.folder === folderOrFile);
+            }
+        }
+
+        if (targets.length === 0) {
+            return c.text('File not found', 404);
+        }
+
+        const env = getEnv(c);
+        for (const file of targets) {
+            logger.info(`Deleting manual entry: ${file.folder ? `${file.folder}/` : ''}${file.originalFilename}`);
+            await storage.deleteStrmEntry(env, file.strmId);
+        }
+        return new Response(null, { status: 204 }); // No Content
+    } catch (error) {
+        logger.error('Error deleting manual entry', error);
+        return c.text(`Delete failed: ${error.message}`, 500);
+    }
+});
+
+// MOVE /manual/* - Rename a manual entry, move it between folders, or rename a folder
+app.on(['MOVE'], '/manual/*', async (c) => {
+    const source = getPathSegments(c.req.path).slice(1);
+    const destinationPath = parseDestination(c.req.header('Destination'), c.req.url);
+    const [destinationCollection, ...destination] = destinationPath ? getPathSegments(destinationPath) : [];
+
+    if (destinationCollection !== 'manual' || source.length === 0 || source.length > 2 ||
+        destination.length === 0 || destination.length > 2) {
+        return c.text('MOVE is only supported for files and folders within /manual/', 403);
+    }
+    if (await isLocked(c, c.req.path) || await isLocked(c, destinationPath)) {
+        return c.text('Resource is locked', 423);
+    }
+
+    try {
+        const env = getEnv(c);
+        const manualFiles = await getManualWebDAVFiles(c);
+        const matches = (file, folder, name) => file.folder === folder && (file.name === name || file.strmName === name);
+
+        // A top-level file, a nested file, or a whole folder
+        let targets = source.length === 2
+            ? manualFiles.filter(f => matches(f, source[0], source[1]))
+            : manualFiles.filter(f => matches(f, null, source[0]));
+        const isFolder = source.length === 1 && targets.length === 0;
+        if (isFolder) {
+            targets = manualFiles.filter(f => f.folder === source[0]);
+        }
+        if (targets.length === 0) {
+            return c.text('File not found', 404);
+        }
+
+        const overwrite = c.req.header('Overwrite') !== 'F';
+        if (isFolder) {
+            if (destination.length !== 1) {
+                return c.text('Folders can only be moved to /manual/{name}/', 403);
+            }
+            const existing = manualFiles.filter(f => f.folder === destination[0]);
+            if (existing.length > 0 && !overwrite) {
+                return c.text('Destination exists', 412);
+            }
+            for (const file of existing) {
+                await storage.deleteStrmEntry(env, file.strmId);
+            }
+            for (const file of targets) {
+                await storage.setDisplayName(env, file.strmId, { name: file.displayName, folder: destination[0] });
+            }
+            logger.info(`Moved manual folder: ${source[0]} -> ${destination[0]}`);
+            return new Response(null, { status: existing.length > 0 ? 204 : 201 });
+        }
+
+        const [file] = targets;
+        const folder = destination.length === 2 ? destination[0] : null;
+        const displayName = toDisplayName(destination[destination.length - 1], file.originalFilename);
+        if (!displayName) {
+            return c.text('Invalid destination filename', 400);
+        }
+
+        const name = `${displayName}.strm`;
+        const existing = manualFiles.find(f => f.strmId !== file.strmId && f.folder === folder &&
+            (f.strmName === name || f.name === destination[destination.length - 1]));
+        if (existing && !overwrite) {
+            return c.text('Destination exists', 412);
+        }
+        if (existing) {
+            await storage.deleteStrmEntry(env, existing.strmId);
+        }
+
+        await storage.setDisplayName(env, file.strmId, { name: displayName, folder });
+        logger.info(`Moved manual entry: ${file.originalFilename} -> ${folder ? `${folder}/` : ''}${displayName}`);
+        return new Response(null, { status: existing ? 204 : 201 });
+    } catch (error) {
+        logger.error('Error moving manual entry', error);
+        return c.text(`Move failed: ${error.message}`, 500);
     }
+});
+
+// GET /torrents/:folder - Folder requested without its trailing slash
+app.get('/torrents/:folder', (c) => c.redirect(`/torrents/${encodeURIComponent(c.req.param('folder'))}/`, 301));
 
-    // Handle .strm files
-    const files = await getDMMCastWebDAVFiles(c);
+// GET /torrents/:folder/:filename - Serve .strm files for an RD torrent
+app.get('/torrents/:folder/:filename', async (c) => {
+    const { folder: folderName, filename } = c.req.param();
+    const folder = (await getTorrentFolders(c)).find(f => f.name === folderName);
+    const files = folder ? withSidecars(await getTorrentWebDAVFiles(c, folder), 'torrents') : [];
     const file = files.find(f => f.name === filename);
 
     if (!file) {
         return c.text('File not found', 404);
     }
 
-    if (filename.endsWith('.strm')) {
-        return c.text(file.content, 200, { 'Content-Type': 'text/plain; charset=utf-8' });
-    }
+    return c.body(file.content, 200, { 'Content-Type': file.contentType });
+});
 
-    return c.text('File type not supported for direct GET', 400);
+// GET /play/:id - Redirect to a fresh unrestricted URL for a .strm entry
+app.get('/play/:id', async (c) => {
+    const strmId = c.req.param('id');
+    try {
+        const url = await resolvePlaybackUrl(c, strmId);
+        if (!url) {
+            return c.text('Download link not found', 404);
+        }
+        return c.redirect(url, 302);
+    } catch (error) {
+        return c.text(`Failed to refresh link: ${error.message}`, 502);
+    }
 });
 
+// Legacy .strm files pointed at /strm/:linkId
+app.get('/strm/:id', (c) => c.redirect(`/play/${encodeURIComponent(c.req.param('id'))}`, 301));
+
 // DELETE /dmmcast/* - Delete DMM Cast entry via WebDAV
 app.on(['DELETE'], '/dmmcast/*', async (c) => {
     // Extract filename from path
     const fullPath = new URL(c.req.url).pathname;
-    const filename = decodeURIComponent(fullPath.replace('/dmmcast/', ''));
+    const filename = getPathSegments(fullPath).slice(1).join('/');
+
+    if (await isLocked(c, fullPath)) {
+        return c.text('Resource is locked', 423);
+    }
 
     try {
+        // Sidecars are generated from the cast; deleting one must not delete the cast
+        if (SIDECAR_EXTENSIONS.includes(filename.split('.').pop().toLowerCase())) {
+            return c.text('Metadata sidecars are generated and cannot be deleted', 403);
+        }
+
         // Parse hash and imdbId from encoded filename (both with prefixes)
-        const match = filename.match(/\{hash-([^}]+)\}\{imdb-([^}]+)\}\.strm$/);
+        const match = filename.match(/\{hash-([^}]+)\}\{imdb-([^}]+)\}(?:\.[^.{}]+)?$/);
         if (!match) {
-            console.error('Invalid filename format:', filename);
+            logger.warn(`Invalid filename format: ${filename}`);
             return c.text('Invalid filename format - missing hash or imdbId encoding', 400);
         }
 
         const [, hash, imdbId] = match;
-        const config = c.get('config');
-
-        console.log(`Deleting DMM cast: imdbId=${imdbId}, hash=${hash}`);
-
-        // Call DMM delete API
-        const response = await fetch('https://debridmediamanager.com/api/stremio/deletelink', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                token: config.rdAccessToken,
-                imdbId: imdbId,
-                hash: hash,
-            }),
-        });
+        const response = await deleteCastedLink(c.get('config'), hash, imdbId);
 
         if (!response.ok) {
             const error = await response.text();
-            console.error('DMM delete failed:', response.status, error);
+            logger.error(`DMM delete failed (${response.status})`, { body: error });
             return c.text(`Delete failed: ${error}`, response.status);
         }
 
-        console.log('DMM cast deleted successfully');
+        logger.info('DMM cast deleted successfully');
         return new Response(null, { status: 204 }); // No Content
     } catch (error) {
-        console.error('Error deleting DMM cast:', error);
+        logger.error('Error deleting DMM cast', error);
         return c.text(`Delete failed: ${error.message}`, 500);
     }
 });
 
+// MOVE /dmmcast/* - Rename a DMM cast; the {hash-…}{imdb-…} encoding is kept so DELETE still works
+app.on(['MOVE'], '/dmmcast/*', async (c) => {
+    const [, filename, ...rest] = getPathSegments(c.req.path);
+    const destinationPath = parseDestination(c.req.header('Destination'), c.req.url);
+    const [destinationCollection, destinationName, ...destinationRest] = destinationPath ? getPathSegments(destinationPath) : [];
+
+    if (!filename || rest.length > 0 || destinationCollection !== 'dmmcast' || !destinationName || destinationRest.length > 0) {
+        return c.text('MOVE is only supported for files within /dmmcast/', 403);
+    }
+    if (await isLocked(c, c.req.path) || await isLocked(c, destinationPath)) {
+        return c.text('Resource is locked', 423);
+    }
+
+    try {
+        const files = await getDMMCastWebDAVFiles(c);
+        const file = files.find(f => f.name === filename || f.strmName === filename);
+        if (!file) {
+            return c.text('File not found', 404);
+        }
+
+        const displayName = toDisplayName(destinationName, file.originalFilename);
+        if (!displayName) {
+            return c.text('Invalid destination filename', 400);
+        }
+
+        await storage.setDisplayName(getEnv(c), file.strmId, { name: displayName });
+        logger.info(`Renamed DMM cast: ${file.originalFilename} -> ${displayName}`);
+        return new Response(null, { status: 201 }); // Created
+    } catch (error) {
+        logger.error('Error renaming DMM cast', error);
+        return c.text(`Move failed: ${error.message}`, 500);
+    }
+});
+
+// MOVE * - Other collections mirror Real-Debrid and cannot be reorganized
+app.on(['MOVE'], '*', (c) => c.text('MOVE is only supported within /manual/ and /dmmcast/', 403));
+
 export default app;
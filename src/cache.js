@@ -0,0 +1,146 @@
+/**
+ * Response Cache
+ *
+ * Short-lived cache for Real-Debrid and DMM listings, so a media player scanning the
+ * WebDAV library does not call the upstream APIs on every PROPFIND and GET.
+ *
+ * - Node.js: in-process memory
+ * - Cloudflare Workers: Cache API (per data center); each key group carries a generation
+ *   number, so invalidation reaches every isolate
+ *
+ * Keys are "{group}:{detail}", e.g. "rd-downloads:20"; invalidation works per group.
+ * In multi-user mode each user's listings use their own groups (see userGroup).
+ * Concurrent misses for the same key share one upstream fetch.
+ */
+
+import * as logger from './logger.js';
+import * as metrics from './metrics.js';
+
+const isWorker = typeof caches !== 'undefined';
+
+// Cache API entries need an http(s) URL; this host is never requested
+const CACHE_ORIGIN = 'https://cache.cast-magnet-link.internal';
+const GENERATION_TTL_SECONDS = 24 * 60 * 60;
+
+// Node.js: key -> { value, expiresAt }
+const memory = new Map();
+// Fetches in progress in this process or isolate: key -> Promise
+const inFlight = new Map();
+
+function getGroup(key) {
+    return key.split(':')[0];
+}
+
+function cacheUrl(path) {
+    return `${CACHE_ORIGIN}/${encodeURIComponent(path)}`;
+}
+
+/**
+ * Current generation of a key group in the Workers Cache API
+ */
+async function getGeneration(group) {
+    const response = await caches.default.match(cacheUrl(`generation:${group}`));
+    return response ? response.text() : '0';
+}
+
+async function readEntry(key) {
+    if (!isWorker) {
+        const entry = memory.get(key);
+        if (entry && entry.expiresAt > Date.now()) return entry;
+        memory.delete(key);
+        return null;
+    }
+    const response = await caches.default.match(cacheUrl(key));
+    return response ? { value: await response.json() } : null;
+}
+
+async function writeEntry(key, value, ttlSeconds) {
+    if (!isWorker) {
+        memory.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+        return;
+    }
+    await caches.default.put(cacheUrl(key), new Response(JSON.stringify(value), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${ttlSeconds}` },
+    }));
+}
+
+/**
+ * Key group for the current user's data, e.g. "rd-downloads.alice"
+ * The environment user keeps the plain group name.
+ *
+ * @param {string} group - Key group, e.g. "rd-downloads"
+ * @param {Object} config - Configuration object (userId is set for registered users)
+ * @returns {string} Key group
+ */
+export function userGroup(group, config) {
+    return config.userId ? `${group}.${config.userId}` : group;
+}
+
+/**
+ * Get a value from the cache, fetching and storing it on a miss
+ * Failed fetches are not cached.
+ *
+ * @param {string} key - Cache key, "{group}:{detail}"
+ * @param {number} ttlSeconds - Time to live; 0 disables caching (concurrent fetches are still shared)
+ * @param {Function} fetcher - Async function returning a JSON-serializable value
+ * @returns {Promise<*>} Cached or fresh value
+ */
+export async function cached(key, ttlSeconds, fetcher) {
+    const storageKey = isWorker ? `${key}@${await getGeneration(getGroup(key))}` : key;
+    // Metrics are per group, not per user
+    const metricsGroup = getGroup(key).split('.')[0];
+
+    if (ttlSeconds > 0) {
+        try {
+            const entry = await readEntry(storageKey);
+            if (entry) {
+                metrics.recordCacheLookup(metricsGroup, true);
+                return entry.value;
+            }
+        } catch (error) {
+            logger.error(`Cache read failed for ${key}`, error);
+        }
+    }
+
+    if (inFlight.has(storageKey)) {
+        metrics.recordCacheLookup(metricsGroup, true);
+        return inFlight.get(storageKey);
+    }
+    metrics.recordCacheLookup(metricsGroup, false);
+
+    const promise = (async () => {
+        const value = await fetcher();
+        if (ttlSeconds > 0) {
+            try {
+                await writeEntry(storageKey, value, ttlSeconds);
+            } catch (error) {
+                logger.error(`Cache write failed for ${key}`, error);
+            }
+        }
+        return value;
+    })().finally(() => inFlight.delete(storageKey));
+    inFlight.set(storageKey, promise);
+    return promise;
+}
+
+/**
+ * Drop every cached value of a key group, e.g. after adding or deleting a link
+ *
+ * @param {string} group - Key group, e.g. "rd-downloads"
+ */
+export async function invalidate(group) {
+    if (!isWorker) {
+        for (const key of memory.keys()) {
+            if (getGroup(key) === group) memory.delete(key);
+        }
+        return;
+    }
+    try {
+        const next = String(Number(await getGeneration(group)) + 1);
+        await caches.default.put(cacheUrl(`generation:${group}`), new Response(next, {
+            headers: { 'Cache-Control': `max-age=${GENERATION_TTL_SECONDS}` },
+        }));
+    } catch (error) {
+        logger.error(`Cache invalidation failed for ${group}`, error);
+    }
+}
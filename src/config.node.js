@@ -1,31 +1,67 @@
 // Node.js configuration (includes Node.js-specific variables)
 import path from 'path';
+import * as logger from './logger.js';
 
 export function getConfig(env) {
     const config = {
         // Real-Debrid Configuration
         rdAccessToken: env.RD_ACCESS_TOKEN,
+        rdTimeoutMs: parseInt(env.RD_TIMEOUT_MS) || 10000,
+        // OAuth endpoints for /setup/rd (override to test against a local stand-in)
+        rdOAuthUrl: env.RD_OAUTH_URL || 'https://api.real-debrid.com/oauth/v2',
 
         // Server Configuration (Node.js-specific)
         // Using bracket notation to hide from Cloudflare Dashboard scanner
         port: parseInt(env['PORT']) || 3000,
         host: env['HOST'] || '0.0.0.0',
-        publicUrl: env.PUBLIC_URL || 'http://localhost:3000',
+        publicUrl: env.PUBLIC_URL || null,
 
         // WebDAV Authentication
         webdavUsername: env.WEBDAV_USERNAME || 'admin',
         webdavPassword: env.WEBDAV_PASSWORD,
 
+        // Multi-user mode: registered users with their own RD tokens and storage (see users.js)
+        multiUser: env.MULTI_USER === 'true',
+
+        // Secret for signed share and play URLs (defaults to the WebDAV password)
+        signingSecret: env.SIGNING_SECRET || null,
+
         // Data Directory (Node.js only)
         dataDir: env['DATA_DIR'] ? path.resolve(env['DATA_DIR']) : path.resolve('./data'),
 
+        // Storage backend: 'json' files in DATA_DIR, or 'sqlite' (see storage.js)
+        storageBackend: env.STORAGE_BACKEND === 'sqlite' ? 'sqlite' : 'json',
+        sqliteFile: env['SQLITE_FILE']
+            ? path.resolve(env['SQLITE_FILE'])
+            : path.resolve(env['DATA_DIR'] || './data', 'rd-cast.db'),
+
+        // User registry for multi-user mode (Node.js only; Workers use KV)
+        usersFile: env['USERS_FILE']
+            ? path.resolve(env['USERS_FILE'])
+            : path.resolve(env['DATA_DIR'] || './data', 'users.json'),
+
+        // Seconds to cache RD downloads and DMM casts (0 disables the cache)
+        cacheTtlSeconds: env.CACHE_TTL_SECONDS ? parseInt(env.CACHE_TTL_SECONDS) || 0 : 30,
+
+        // Most recent downloads listed in /downloads/ (and per page in the HTML listing);
+        // the full history is in the month folders /downloads/YYYY-MM/
+        downloadsLimit: parseInt(env.DOWNLOADS_LIMIT) || 10,
+
+        // WebDAV media mode: 'strm' lists .strm files, 'proxy' lists and streams the media files
+        mediaMode: env.MEDIA_MODE === 'proxy' ? 'proxy' : 'strm',
+
         // Logging
-        logFormat: env.LOG_FORMAT || 'text', // 'json' or 'text'
+        logFormat: env.LOG_FORMAT === 'json' ? 'json' : 'text',
+        logLevel: ['debug', 'info', 'warn', 'error'].includes(env.LOG_LEVEL) ? env.LOG_LEVEL : 'info',
+
+        // Separate Basic Auth credentials for /metrics (otherwise the WebDAV credentials)
+        metricsUsername: env.METRICS_USERNAME || 'metrics',
+        metricsPassword: env.METRICS_PASSWORD || null,
     };
 
     // Validation
+    // RD_ACCESS_TOKEN is optional: the token can also be set up with OAuth at /setup/rd
     const required = {
-        rdAccessToken: 'RD_ACCESS_TOKEN',
         webdavPassword: 'WEBDAV_PASSWORD',
     };
 
@@ -36,9 +72,10 @@ export function getConfig(env) {
         }
     }
 
-    if (missing.length > 0) {
+    // In multi-user mode the environment user is optional
+    if (missing.length > 0 && !config.multiUser) {
         const errorMsg = `Missing required environment variables: ${missing.join(', ')}`;
-        console.error(errorMsg);
+        logger.error(errorMsg);
     }
 
     return config;
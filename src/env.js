@@ -6,11 +6,18 @@
  * - Node.js: reads from process.env
  *
  * This eliminates the need for runtime detection and makes the code truly universal.
+ *
+ * STORAGE_NAMESPACE is the signed-in user's storage namespace in multi-user mode
+ * (set by the auth middleware), so storage.js keeps each user's data apart.
  */
 
 export function getEnv(c) {
     return new Proxy({}, {
         get(target, prop) {
+            if (prop === 'STORAGE_NAMESPACE' && c.get?.('storageNamespace')) {
+                return c.get('storageNamespace');
+            }
+
             // Try c.env first (Cloudflare Workers bindings)
             if (c.env && prop in c.env) {
                 return c.env[prop];
@@ -26,6 +33,9 @@ export function getEnv(c) {
 
         // Support 'in' operator checks
         has(target, prop) {
+            if (prop === 'STORAGE_NAMESPACE' && c.get?.('storageNamespace')) {
+                return true;
+            }
             if (c.env && prop in c.env) {
                 return true;
             }
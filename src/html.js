@@ -1,6 +1,6 @@
 // src/html.js
 
-export function layout(title, content) {
+export function layout(title, content, refreshSeconds = null) {
     const pageTitle = title ? `Cast Magnet Link · ${title}` : 'Cast Magnet Link';
     // The cache-busting query parameter is added here.
     const cacheBuster = new Date().getTime();
@@ -10,6 +10,7 @@ export function layout(title, content) {
     <meta charset="UTF-8">
     <title>${pageTitle}</title>
     <meta name="viewport" content="width=device-width, initial-scale=1">
+    ${refreshSeconds ? `<meta http-equiv="refresh" content="${refreshSeconds}">` : ''}
     <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/@picocss/pico@2/css/pico.min.css">
     <link rel="stylesheet" href="/style.css?_v=${cacheBuster}">
     <script>
@@ -29,7 +30,7 @@ export function layout(title, content) {
 </html>`;
 }
 
-export function statusHeader(error = null, success = null, defaultTitle = 'Cast Magnet Link', defaultSubtitle = 'Enter a magnet link or infohash to add to WebDAV') {
+export function statusHeader(error = null, success = null, defaultTitle = 'Cast Magnet Link', defaultSubtitle = 'Enter a magnet link or infohash to add to WebDAV', warning = null) {
     const title = error ? 'Failed to Cast' : success || defaultTitle;
     let subtitle = error;
     if (error && error.startsWith('Failed to cast: ')) {
@@ -42,8 +43,10 @@ export function statusHeader(error = null, success = null, defaultTitle = 'Cast
 <header>
     ${error ? `<span class="status-badge error">ERROR</span>` : ''}
     ${success ? `<span class="status-badge success">SUCCESS</span>` : ''}
+    ${warning ? `<span class="status-badge warning">DEGRADED</span>` : ''}
     <h2>${title}</h2>
     ${subtitle ? `<p>${subtitle}</p>` : ''}
+    ${warning ? `<p><small>${warning}</small></p>` : ''}
 </header>`;
 }
 
@@ -62,7 +65,12 @@ export function footer() {
         <a href="/">Home</a> &middot;
         <a href="/add">Add Magnet Link</a> &middot;
         <a href="/downloads/">Downloads</a> &middot;
-        <a href="/dmmcast/">DMM Cast</a>
+        <a href="/dmmcast/">DMM Cast</a> &middot;
+        <a href="/manual/">Manual</a> &middot;
+        <a href="/torrents/">Torrents</a> &middot;
+        <a href="/library/">Library</a> &middot;
+        <a href="/share">Share</a> &middot;
+        <a href="/account">Account</a>
     </small>
 </footer>`;
 }
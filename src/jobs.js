@@ -0,0 +1,364 @@
+/**
+ * Add-Magnet Jobs
+ *
+ * Tracks a torrent added to Real-Debrid through its statuses until the link is
+ * unrestricted, stored in /manual/ and the torrent removed from the library.
+ *
+ * - Node.js: jobs are advanced by an in-process background poller
+ * - Cloudflare Workers: jobs are advanced each time /jobs/:id is polled
+ */
+
+import storage from './storage.js';
+import * as cache from './cache.js';
+import * as logger from './logger.js';
+import * as metrics from './metrics.js';
+import { parseMagnetOrHash, buildMagnet } from './magnet.js';
+import * as rdClient from './rdClient.js';
+import { VIDEO_EXTENSIONS } from './releaseName.js';
+
+const isWorker = typeof caches !== 'undefined';
+
+// Real-Debrid torrent statuses
+const PENDING_STATUSES = ['magnet_conversion', 'queued', 'downloading', 'compressing', 'uploading'];
+const FAILED_STATUSES = ['magnet_error', 'error', 'virus', 'dead'];
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_POLL_DURATION_MS = 24 * 60 * 60 * 1000;
+const STALE_UNRESTRICT_MS = 2 * 60 * 1000;
+const TWO_MB = 2 * 1024 * 1024;
+
+// Jobs currently being advanced in this process (prevents double unrestrict/delete)
+const inFlight = new Map();
+
+/**
+ * Pick the only file worth casting, if there is exactly one
+ *
+ * @param {Array} files - Torrent files from getTorrentInfo
+ * @returns {Object|null} File to select automatically, or null if the user must choose
+ */
+function getAutoSelectFile(files) {
+    if (!files || files.length === 0) return null;
+    if (files.length === 1) return files[0];
+
+    const largeFiles = files.filter(f => (f.bytes || f.size || 0) > TWO_MB);
+
+    if (largeFiles.length === 1) {
+        logger.info(`Auto-selecting only large file (${largeFiles[0].bytes || largeFiles[0].size} bytes)`);
+        return largeFiles[0];
+    }
+    return null;
+}
+
+/**
+ * Get the IDs of all video files in a torrent, e.g. every episode of a season pack
+ *
+ * @param {Array} files - Torrent files from getTorrentInfo
+ * @returns {string} Comma-separated RD file IDs (empty if none)
+ */
+export function getVideoFileIds(files) {
+    return (files || [])
+        .filter(f => VIDEO_EXTENSIONS.includes((f.path || f.name || '').split('.').pop().toLowerCase()))
+        .map(f => f.id)
+        .join(',');
+}
+
+/**
+ * Turn a torrent name into a single WebDAV path segment
+ *
+ * @param {string} name - Torrent name
+ * @returns {string} Folder name
+ */
+function toFolderName(name) {
+    return (name || '').replace(/[\\/]+/g, ' ').trim() || null;
+}
+
+/**
+ * Add a magnet, infohash or .torrent file to Real-Debrid and persist a job for it
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {string|ArrayBuffer} magnetOrTorrent - Magnet link or infohash, or the contents of a .torrent file
+ * @param {string|null} [userIP=null] - Optional user IP for RD geolocation
+ * @returns {Promise<Object>} New job
+ */
+export async function createJob(config, env, magnetOrTorrent, userIP = null) {
+    // Invalid magnets fail here with a specific message, before Real-Debrid is called
+    let magnet = null;
+    if (typeof magnetOrTorrent === 'string') {
+        try {
+            magnet = parseMagnetOrHash(magnetOrTorrent);
+        } catch (error) {
+            metrics.recordAddOutcome('invalid');
+            throw error;
+        }
+    }
+
+    let addResult;
+    try {
+        addResult = magnet
+            ? await rdClient.addTorrent(config, buildMagnet(magnet))
+            : await rdClient.addTorrentFile(config, magnetOrTorrent);
+    } catch (error) {
+        metrics.recordAddOutcome('rejected');
+        throw error;
+    }
+    metrics.recordAddOutcome('added');
+    logger.info(`Torrent added with ID: ${addResult.id}`);
+
+    const job = {
+        id: addResult.id,
+        torrentId: addResult.id,
+        state: 'pending',
+        status: null,
+        progress: 0,
+        // Shown until Real-Debrid reports the torrent's own hash and name
+        hash: magnet?.infoHash || null,
+        filename: magnet?.displayName || null,
+        files: [],
+        result: null,
+        error: null,
+        userIP,
+        createdAt: new Date().toISOString(),
+    };
+    await storage.saveJob(env, job);
+    return job;
+}
+
+/**
+ * Load a job by ID
+ *
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {string} jobId - Job ID (the Real-Debrid torrent ID)
+ * @returns {Promise<Object|null>} Job or null if unknown or expired
+ */
+export async function getJob(env, jobId) {
+    return storage.getJob(env, jobId);
+}
+
+/**
+ * Select files for a job that is waiting on the user, then advance it
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {Object} job - Job in the 'selecting' state
+ * @param {string} fileIds - Comma-separated RD file IDs
+ * @returns {Promise<Object>} Updated job
+ */
+export async function selectJobFiles(config, env, job, fileIds) {
+    await rdClient.selectFiles(config, job.torrentId, fileIds);
+    logger.info(`Files selected: ${fileIds} for torrent: ${job.torrentId}`);
+
+    job.state = 'pending';
+    job.files = [];
+    await storage.saveJob(env, job);
+    return advanceJob(config, env, job);
+}
+
+/**
+ * Check the torrent status once and move the job forward
+ * Concurrent calls for the same job in this process share one advance
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {Object} job - Job to advance
+ * @returns {Promise<Object>} Updated job
+ */
+export async function advanceJob(config, env, job) {
+    // An 'unrestricting' job that stopped updating was interrupted (e.g. a restart); retry it
+    const interrupted = job.state === 'unrestricting' &&
+        Date.now() - new Date(job.updatedAt).getTime() > STALE_UNRESTRICT_MS;
+    if (job.state !== 'pending' && !interrupted) return job;
+
+    if (inFlight.has(job.id)) {
+        return inFlight.get(job.id);
+    }
+
+    const promise = advance(config, env, job).finally(() => inFlight.delete(job.id));
+    inFlight.set(job.id, promise);
+    return promise;
+}
+
+async function advance(config, env, job) {
+    try {
+        const torrentInfo = await rdClient.getTorrentInfo(config, job.torrentId);
+        job.status = torrentInfo.status;
+        job.progress = torrentInfo.progress || 0;
+        job.hash = torrentInfo.hash;
+        job.filename = torrentInfo.filename;
+        logger.debug(`Job ${job.id} torrent status: ${torrentInfo.status} (${job.progress}%)`);
+
+        if (FAILED_STATUSES.includes(torrentInfo.status)) {
+            await failJob(config, env, job, `Real-Debrid reported torrent status: ${torrentInfo.status}`);
+            return job;
+        }
+
+        if (torrentInfo.status === 'waiting_files_selection') {
+            const fileToSelect = getAutoSelectFile(torrentInfo.files);
+            if (fileToSelect) {
+                await rdClient.selectFiles(config, job.torrentId, fileToSelect.id.toString());
+                job.status = 'queued';
+            } else {
+                job.state = 'selecting';
+                job.files = torrentInfo.files || [];
+            }
+            await storage.saveJob(env, job);
+            return job;
+        }
+
+        if (PENDING_STATUSES.includes(torrentInfo.status) || !torrentInfo.links || torrentInfo.links.length === 0) {
+            await storage.saveJob(env, job);
+            return job;
+        }
+
+        await completeJob(config, env, job, torrentInfo);
+        return job;
+    } catch (error) {
+        // Another poll may have completed the job and deleted its torrent meanwhile (RD then answers 404)
+        const stored = await storage.getJob(env, job.id);
+        if (stored?.state === 'done') {
+            return stored;
+        }
+
+        if (isDefiniteFailure(error)) {
+            logger.error(`Error advancing job ${job.id}`, error);
+            await failJob(config, env, job, error.message);
+            return job;
+        }
+        // Timeouts, 429 and 5xx: keep the torrent and retry on the next poll; links already
+        // stored in /manual/ are stored again under the same ID
+        logger.warn(`Error advancing job ${job.id}, will retry`, error);
+        job.state = 'pending';
+        await storage.saveJob(env, job);
+        return job;
+    }
+}
+
+/**
+ * Whether an error means the job can never complete, as opposed to a transient failure
+ *
+ * @param {Error} error - Error thrown while advancing a job
+ * @returns {boolean} True for Real-Debrid 4xx responses other than 429
+ */
+function isDefiniteFailure(error) {
+    return error instanceof rdClient.RealDebridError && error.status >= 400 && error.status < 500 && error.status !== 429;
+}
+
+async function completeJob(config, env, job, torrentInfo) {
+    job.state = 'unrestricting';
+    await storage.saveJob(env, job);
+
+    // RD returns one link per selected file, in file order
+    const selectedFiles = (torrentInfo.files || []).filter(f => f.selected === 1);
+    const links = torrentInfo.links;
+    // Several files (e.g. a season pack) are grouped in a folder named after the torrent
+    const folder = links.length > 1 ? toFolderName(torrentInfo.filename) : null;
+
+    const results = [];
+    for (let i = 0; i < links.length; i++) {
+        const originalLink = links[i];
+        const unrestrictedUrl = await rdClient.unrestrictLink(config, originalLink, job.userIP);
+
+        const selectedFile = selectedFiles.length === links.length ? selectedFiles[i] : null;
+        const filename = selectedFile
+            ? (selectedFile.path || selectedFile.name)
+            : (links.length > 1 ? `${torrentInfo.filename} ${i + 1}` : torrentInfo.filename);
+        const filesize = selectedFile ? (selectedFile.bytes || selectedFile.size) : (links.length > 1 ? 0 : torrentInfo.bytes);
+
+        // Persist so the link stays in the /manual/ WebDAV library
+        const linkId = rdClient.extractLinkId(originalLink);
+        // File paths from torrent info start with the torrent folder; keep the basename only
+        const name = (filename || linkId || job.hash).split('/').pop();
+        if (linkId) {
+            await storage.addStrmEntry(env, linkId, originalLink, unrestrictedUrl, name, true, filesize || 0, folder, job.hash);
+        } else {
+            logger.error(`Cannot store manual entry without an RD link ID: ${originalLink}`);
+        }
+        results.push({ filename: name, filesize: filesize || 0, linkId });
+    }
+
+    // The files are stored, so a failed delete must not turn the job into an error.
+    // RD answers 404 when another poll (e.g. in another Worker isolate) already deleted the torrent.
+    try {
+        await rdClient.deleteTorrent(config, job.torrentId);
+    } catch (error) {
+        if (!(error instanceof rdClient.RealDebridError && error.status === 404)) {
+            logger.error(`Error deleting torrent for completed job ${job.id}`, error);
+        }
+    }
+    // Unrestricted links now appear in the RD downloads list, and the torrent left the library
+    await cache.invalidate(cache.userGroup('rd-downloads', config));
+    await cache.invalidate(cache.userGroup('rd-torrents', config));
+
+    job.state = 'done';
+    job.progress = 100;
+    job.result = { folder, files: results };
+    await storage.saveJob(env, job);
+    metrics.recordAddOutcome('done');
+    logger.info(`Job ${job.id} complete: ${results.length} file(s)${folder ? ` in ${folder}` : ''}`);
+}
+
+async function failJob(config, env, job, message) {
+    job.state = 'error';
+    job.error = message;
+    metrics.recordAddOutcome('failed');
+    try {
+        await rdClient.deleteTorrent(config, job.torrentId);
+    } catch (error) {
+        logger.error(`Error deleting torrent for failed job ${job.id}`, error);
+    }
+    await storage.saveJob(env, job);
+}
+
+/**
+ * Poll a job a few times in quick succession, for torrents that are cached on RD
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {Object} job - Job to advance
+ * @param {number} [attempts=4] - Maximum number of status checks
+ * @param {number} [intervalMs=1000] - Delay between checks
+ * @returns {Promise<Object>} Updated job
+ */
+export async function settleJob(config, env, job, attempts = 4, intervalMs = 1000) {
+    for (let i = 0; i < attempts; i++) {
+        job = await advanceJob(config, env, job);
+        if (job.state !== 'pending') break;
+        if (i < attempts - 1) {
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    }
+    return job;
+}
+
+/**
+ * Keep advancing a pending job in the background (Node.js only)
+ * On Workers the job is advanced by the /jobs/:id page instead.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {string} jobId - Job ID
+ */
+export function pollJobInBackground(config, env, jobId) {
+    if (isWorker) return;
+
+    const startedAt = Date.now();
+    const poll = async () => {
+        if (Date.now() - startedAt > MAX_POLL_DURATION_MS) {
+            logger.info(`Stopped background polling for job ${jobId}`);
+            return;
+        }
+
+        // Nothing awaits this callback: an error must not become an unhandled rejection, which ends the process
+        try {
+            const job = await storage.getJob(env, jobId);
+            if (!job || job.state !== 'pending') return;
+
+            const updated = await advanceJob(config, env, job);
+            if (updated.state !== 'pending') return;
+        } catch (error) {
+            logger.error(`Error polling job ${jobId} in the background, will retry`, error);
+        }
+        setTimeout(poll, POLL_INTERVAL_MS).unref?.();
+    };
+    setTimeout(poll, POLL_INTERVAL_MS).unref?.();
+}
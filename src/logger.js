@@ -1,26 +1,161 @@
-const config = require('./config');
+/**
+ * Logger
+ *
+ * Structured logging for Node.js and Cloudflare Workers:
+ * - LOG_FORMAT: 'text' (default) or 'json', one object per line
+ * - LOG_LEVEL: 'debug', 'info' (default), 'warn' or 'error'
+ *
+ * Each request runs in a context (AsyncLocalStorage, available on Workers with nodejs_compat)
+ * holding its request ID and the upstream calls made for it, so every line logged while
+ * handling the request carries the ID. Tokens, passwords and unrestricted download URLs
+ * are redacted from messages and metadata.
+ */
 
-function log(level, message, metadata = {}) {
-  const timestamp = new Date().toISOString();
-  const logEntry = {
-    timestamp,
-    level,
-    message,
-    ...metadata,
-  };
-
-  if (config.logFormat === 'json') {
-    console.log(JSON.stringify(logEntry));
-  } else {
-    // Default to plain text for development/simplicity
-    const metaString = Object.keys(metadata).length > 0 ? ` ${JSON.stringify(metadata)}` : '';
-    console.log(`[${timestamp}] [${level.toUpperCase()}] ${message}${metaString}`);
-  }
-}
-
-module.exports = {
-  info: (message, metadata) => log('info', message, metadata),
-  warn: (message, metadata) => log('warn', message, metadata),
-  error: (message, metadata) => log('error', message, metadata),
-  debug: (message, metadata) => log('debug', message, metadata),
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Metadata keys whose values are never logged
+const SENSITIVE_KEYS = /pass(word)?|token|secret|authorization|cookie|^sig$|^(download|unrestrictedUrl|unrestricted_url)$/i;
+
+const SENSITIVE_PATTERNS = [
+    // Authorization header values
+    [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+    // Credentials and signatures in query strings and form bodies; private tracker URLs carry passkeys
+    [/([?&](?:token|access_token|refresh_token|client_secret|code|sig|password|tr)=)[^&#\s"']+/gi, `$1${REDACTED}`],
+    // Unrestricted download URLs work for anyone who has them
+    [/(https?:\/\/[\w.-]*(?:download\.real-debrid\.com|rdeb\.io)\/)[^\s"'<>]+/gi, `$1${REDACTED}`],
+];
+
+// Secrets shorter than this are not replaced verbatim, they would match ordinary words
+const MIN_SECRET_LENGTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+// Settings outside of requests (startup, migration script); requests use their own configuration
+let defaults = {
+    logFormat: globalThis.process?.env?.LOG_FORMAT || 'text',
+    logLevel: globalThis.process?.env?.LOG_LEVEL || 'info',
+    secrets: [],
 };
+
+/**
+ * Collect the secrets of a configuration that must never appear in logs
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Tokens and passwords
+ */
+function getSecrets(config) {
+    return [config.rdAccessToken, config.dmmToken, config.webdavPassword, config.signingSecret, config.metricsPassword]
+        .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * Set the log format, level and secrets used outside of requests
+ *
+ * @param {Object} config - Configuration object (logFormat, logLevel and the secrets to redact)
+ */
+export function configureLogger(config) {
+    defaults = { logFormat: config.logFormat, logLevel: config.logLevel, secrets: getSecrets(config) };
+}
+
+/**
+ * Settings for the current request, or the defaults
+ */
+function getSettings() {
+    const config = requestContext.getStore()?.getConfig();
+    return config
+        ? { logFormat: config.logFormat, logLevel: config.logLevel, secrets: getSecrets(config) }
+        : defaults;
+}
+
+function redactString(value, secrets) {
+    let result = value;
+    for (const secret of secrets) {
+        result = result.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of SENSITIVE_PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+/**
+ * Remove tokens, passwords and unrestricted URLs from a value before it is logged
+ *
+ * @param {*} value - String, Error, array or plain object
+ * @param {Array<string>} [secrets] - Exact values to remove; defaults to the current request's secrets
+ * @returns {*} Redacted copy; Errors become their message
+ */
+export function redact(value, secrets = getSettings().secrets) {
+    if (typeof value === 'string') return redactString(value, secrets);
+    if (value instanceof Error) return redactString(value.message, secrets);
+    if (Array.isArray(value)) return value.map(item => redact(item, secrets));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SENSITIVE_KEYS.test(key) && item ? REDACTED : redact(item, secrets),
+        ]));
+    }
+    return value;
+}
+
+function log(level, message, metadata = {}) {
+    const settings = getSettings();
+    if (LEVELS[level] < (LEVELS[settings.logLevel] ?? LEVELS.info)) return;
+
+    const timestamp = new Date().toISOString();
+    const requestId = requestContext.getStore()?.requestId;
+    const text = redact(String(message), settings.secrets);
+    const meta = redact(metadata instanceof Error ? { error: metadata } : metadata, settings.secrets);
+    const write = LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+
+    if (settings.logFormat === 'json') {
+        write(JSON.stringify({ timestamp, level, ...(requestId && { requestId }), message: text, ...meta }));
+    } else {
+        const metaString = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+        write(`[${timestamp}] [${level.toUpperCase()}]${requestId ? ` [${requestId}]` : ''} ${text}${metaString}`);
+    }
+}
+
+export const debug = (message, metadata) => log('debug', message, metadata);
+export const info = (message, metadata) => log('info', message, metadata);
+export const warn = (message, metadata) => log('warn', message, metadata);
+export const error = (message, metadata) => log('error', message, metadata);
+
+/**
+ * Run a request handler in a logging context
+ *
+ * @param {string} requestId - Request ID added to every line
+ * @param {Function} getConfig - Returns the request's current configuration (it changes once the user is known)
+ * @param {Function} fn - Handler
+ * @returns {Promise<*>} Result of fn
+ */
+export function runWithRequestContext(requestId, getConfig, fn) {
+    return requestContext.run({ requestId, getConfig, upstream: [] }, fn);
+}
+
+/**
+ * Upstream calls made so far for the current request
+ *
+ * @returns {Array<Object>} Calls with service, method, target, status and durationMs
+ */
+export function getUpstreamCalls() {
+    return requestContext.getStore()?.upstream || [];
+}
+
+/**
+ * Record the timing of a call to Real-Debrid, DMM or a media host
+ *
+ * @param {string} service - Upstream name, e.g. 'rd' or 'dmm'
+ * @param {string} method - HTTP method
+ * @param {string} target - Path or URL called; redacted before it is stored
+ * @param {number|null} status - HTTP status, or null if the call failed without a response
+ * @param {number} startedAt - Date.now() before the call
+ */
+export function recordUpstream(service, method, target, status, startedAt) {
+    const call = { service, method, target: redact(target), status, durationMs: Date.now() - startedAt };
+    requestContext.getStore()?.upstream.push(call);
+    debug(`${service} ${method} ${call.target} ${status ?? 'failed'} in ${call.durationMs}ms`);
+}
@@ -0,0 +1,228 @@
+/**
+ * Magnet Links
+ *
+ * Parses and validates magnet links and bare infohashes before they are sent to Real-Debrid,
+ * so bad input gets a specific message instead of an opaque RD 400:
+ * - xt: urn:btih (BitTorrent v1: 40 hex or 32 base32 characters) and urn:btmh (v2: SHA-256 multihash)
+ * - dn: display name, shown while the torrent is added
+ * - tr: tracker URLs, kept as they are (private tracker URLs carry a passkey)
+ * - xl: exact length in bytes
+ *
+ * Base32 infohashes are converted to hex.
+ */
+
+const HEX_INFOHASH = /^[0-9a-f]{40}$/i;
+const BASE32_INFOHASH = /^[a-z2-7]{32}$/i;
+// Multihash: 0x12 (sha2-256), 0x20 (32 bytes), then the digest
+const BTMH_INFOHASH = /^1220[0-9a-f]{64}$/i;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TRACKER_PROTOCOLS = ['http:', 'https:', 'udp:', 'ws:', 'wss:'];
+
+/**
+ * Invalid magnet link or infohash
+ */
+class MagnetError extends Error {
+    /**
+     * @param {string} message - What is wrong with the input
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'MagnetError';
+    }
+}
+
+/**
+ * Convert a base32 infohash to hex
+ *
+ * @param {string} base32 - 32 base32 characters
+ * @returns {string} 40 lowercase hex characters
+ */
+function base32ToHex(base32) {
+    let bits = '';
+    for (const char of base32.toUpperCase()) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Normalize a v1 infohash
+ *
+ * @param {string} value - Hex or base32 infohash
+ * @returns {string|null} 40 lowercase hex characters, or null if the value is not an infohash
+ */
+function toHexInfoHash(value) {
+    if (HEX_INFOHASH.test(value)) return value.toLowerCase();
+    if (BASE32_INFOHASH.test(value)) return base32ToHex(value);
+    return null;
+}
+
+function shorten(value) {
+    return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+}
+
+/**
+ * Parse a magnet link
+ *
+ * @param {string} input - magnet:?xt=urn:btih:…
+ * @returns {{infoHash: string|null, infoHashV2: string|null, displayName: string|null,
+ *     trackers: Array<string>, length: number|null}} Parsed magnet; infoHash is the v1 infohash
+ *     in hex, infoHashV2 the v2 multihash in hex. At least one of them is set
+ * @throws {MagnetError} When the magnet link is malformed
+ */
+function parseMagnet(input) {
+    if (!/^magnet:\?/i.test(input)) {
+        throw new MagnetError('A magnet link starts with "magnet:?"');
+    }
+
+    const params = new URLSearchParams(input.slice(input.indexOf('?') + 1));
+    const result = { infoHash: null, infoHashV2: null, displayName: null, trackers: [], length: null };
+    const topics = [];
+
+    for (const [rawKey, value] of params) {
+        // Numbered parameters (xt.1, tr.2) are allowed by the spec
+        const key = rawKey.toLowerCase().replace(/\.\d+$/, '');
+        if (key === 'xt') {
+            topics.push(value.trim());
+        } else if (key === 'dn') {
+            result.displayName = result.displayName || value.trim() || null;
+        } else if (key === 'tr') {
+            let tracker;
+            try {
+                tracker = new URL(value);
+            } catch (error) {
+                throw new MagnetError(`Invalid tracker URL in magnet link: "${shorten(value)}"`);
+            }
+            if (!TRACKER_PROTOCOLS.includes(tracker.protocol)) {
+                throw new MagnetError(`Unsupported tracker protocol "${tracker.protocol}" in magnet link`);
+            }
+            if (!result.trackers.includes(value)) result.trackers.push(value);
+        } else if (key === 'xl') {
+            if (!/^\d+$/.test(value)) {
+                throw new MagnetError(`Invalid exact length (xl) in magnet link: "${shorten(value)}"`);
+            }
+            result.length = Number(value);
+        }
+    }
+
+    if (topics.length === 0) {
+        throw new MagnetError('Magnet link has no infohash (xt=urn:btih:…)');
+    }
+
+    for (const topic of topics) {
+        const [, type, value] = topic.match(/^urn:([a-z0-9]+):(.*)$/i) || [];
+        if (!type) {
+            throw new MagnetError(`Invalid exact topic (xt) in magnet link: "${shorten(topic)}"`);
+        }
+        if (type.toLowerCase() === 'btih') {
+            const infoHash = toHexInfoHash(value);
+            if (!infoHash) {
+                throw new MagnetError(`Invalid infohash "${shorten(value)}": expected 40 hex or 32 base32 characters, got ${value.length}`);
+            }
+            result.infoHash = result.infoHash || infoHash;
+        } else if (type.toLowerCase() === 'btmh') {
+            if (!BTMH_INFOHASH.test(value)) {
+                throw new MagnetError(`Invalid BitTorrent v2 infohash "${shorten(value)}": expected 1220 followed by 64 hex characters`);
+            }
+            result.infoHashV2 = result.infoHashV2 || value.toLowerCase();
+        }
+    }
+
+    if (!result.infoHash && !result.infoHashV2) {
+        throw new MagnetError(`Magnet link is not a BitTorrent link: "${shorten(topics[0])}" is not urn:btih or urn:btmh`);
+    }
+    return result;
+}
+
+/**
+ * Parse a magnet link or a bare infohash
+ *
+ * @param {string} input - Magnet link, 40-character hex or 32-character base32 infohash,
+ *     or a BitTorrent v2 multihash (1220…)
+ * @returns {{infoHash: string|null, infoHashV2: string|null, displayName: string|null,
+ *     trackers: Array<string>, length: number|null}} Parsed magnet, see parseMagnet
+ * @throws {MagnetError} When the input is neither a valid magnet link nor an infohash
+ */
+function parseMagnetOrHash(input) {
+    const value = (input || '').trim();
+    if (!value) {
+        throw new MagnetError('Enter a magnet link or infohash');
+    }
+    if (/^magnet:/i.test(value)) {
+        return parseMagnet(value);
+    }
+
+    const empty = { infoHash: null, infoHashV2: null, displayName: null, trackers: [], length: null };
+    const infoHash = toHexInfoHash(value);
+    if (infoHash) return { ...empty, infoHash };
+    if (BTMH_INFOHASH.test(value)) return { ...empty, infoHashV2: value.toLowerCase() };
+
+    throw new MagnetError(/^[0-9a-f]+$/i.test(value)
+        ? `Invalid infohash: expected 40 hex characters, got ${value.length}`
+        : `"${shorten(value)}" is not a magnet link or infohash`);
+}
+
+/**
+ * Build a magnet link from a parsed magnet, with the infohash in hex
+ *
+ * @param {Object} magnet - Result of parseMagnet or parseMagnetOrHash
+ * @returns {string} magnet:?xt=urn:btih:…
+ */
+function buildMagnet(magnet) {
+    const params = [];
+    if (magnet.infoHash) params.push(`xt=urn:btih:${magnet.infoHash}`);
+    if (magnet.infoHashV2) params.push(`xt=urn:btmh:${magnet.infoHashV2}`);
+    if (magnet.displayName) params.push(`dn=${encodeURIComponent(magnet.displayName)}`);
+    if (magnet.length !== null) params.push(`xl=${magnet.length}`);
+    for (const tracker of magnet.trackers) {
+        params.push(`tr=${encodeURIComponent(tracker)}`);
+    }
+    return `magnet:?${params.join('&')}`;
+}
+
+/**
+ * Short label for a magnet link or infohash: its display name, else its infohash
+ *
+ * @param {string} input - Magnet link or infohash
+ * @returns {string} Label; the input itself if it cannot be parsed
+ */
+function getMagnetLabel(input) {
+    try {
+        const magnet = parseMagnetOrHash(input);
+        return magnet.displayName || magnet.infoHash || magnet.infoHashV2;
+    } catch (error) {
+        return shorten(input);
+    }
+}
+
+/**
+ * Magnet link or infohash from /?add= or /add/:magnetOrHash
+ * Magnets that were not URL-encoded lose their parameters to the request's query string:
+ * /add/magnet:?xt=…&tr=… and /?add=magnet:?xt=…&tr=… are put back together here, trackers included.
+ *
+ * @param {string} requestUrl - Request URL
+ * @param {string} value - Decoded path parameter or ?add= value
+ * @returns {string} Magnet link or infohash
+ */
+function getRequestMagnet(requestUrl, value) {
+    const { search } = new URL(requestUrl);
+    if (value === 'magnet:' && search) {
+        return `magnet:${search}`;
+    }
+    const raw = search.match(/^\?add=(magnet:\?.*)$/i);
+    return raw && raw[1].includes('&') ? raw[1] : value;
+}
+
+export {
+    MagnetError,
+    parseMagnet,
+    parseMagnetOrHash,
+    buildMagnet,
+    base32ToHex,
+    getMagnetLabel,
+    getRequestMagnet,
+};
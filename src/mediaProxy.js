@@ -0,0 +1,85 @@
+/**
+ * Media Proxy
+ *
+ * Streams media from an unrestricted Real-Debrid URL through the service, for
+ * media players that cannot open .strm files (MEDIA_MODE=proxy).
+ * Range requests are passed through so players can seek.
+ */
+
+import * as logger from './logger.js';
+
+const MEDIA_MIME_TYPES = {
+    'mkv': 'video/x-matroska',
+    'mp4': 'video/mp4',
+    'm4v': 'video/x-m4v',
+    'avi': 'video/x-msvideo',
+    'mov': 'video/quicktime',
+    'wmv': 'video/x-ms-wmv',
+    'webm': 'video/webm',
+    'ts': 'video/mp2t',
+    'm2ts': 'video/mp2t',
+    'mpg': 'video/mpeg',
+    'mpeg': 'video/mpeg',
+    'flv': 'video/x-flv',
+    'mp3': 'audio/mpeg',
+    'flac': 'audio/flac',
+    'm4a': 'audio/mp4',
+};
+
+// Upstream headers forwarded to the client
+const FORWARDED_HEADERS = ['content-length', 'content-range', 'last-modified', 'etag'];
+
+/**
+ * Get the MIME type for a media filename
+ *
+ * @param {string} filename - Media filename
+ * @returns {string} MIME type
+ */
+export function getMediaMimeType(filename) {
+    const ext = (filename || '').split('.').pop().toLowerCase();
+    return MEDIA_MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+/**
+ * Proxy a media file, forwarding Range headers and 206 responses
+ *
+ * @param {Object} c - Hono context
+ * @param {string} url - Unrestricted download URL
+ * @param {string} filename - Media filename (for Content-Type)
+ * @returns {Promise<Response>} Streaming response
+ */
+export async function proxyMedia(c, url, filename) {
+    const headers = {};
+    const range = c.req.header('Range');
+    if (range) {
+        headers['Range'] = range;
+        const ifRange = c.req.header('If-Range');
+        if (ifRange) headers['If-Range'] = ifRange;
+    }
+
+    const method = c.req.method === 'HEAD' ? 'HEAD' : 'GET';
+    const startedAt = Date.now();
+    let upstream;
+    try {
+        upstream = await fetch(url, { method, headers });
+    } catch (error) {
+        logger.recordUpstream('media', method, url, null, startedAt);
+        throw error;
+    }
+    // Time to the response headers; the body is streamed to the client
+    logger.recordUpstream('media', method, url, upstream.status, startedAt);
+
+    const responseHeaders = new Headers({
+        'Content-Type': getMediaMimeType(filename),
+        'Accept-Ranges': 'bytes',
+    });
+    for (const name of FORWARDED_HEADERS) {
+        const value = upstream.headers.get(name);
+        if (value) responseHeaders.set(name, value);
+    }
+
+    return new Response(c.req.method === 'HEAD' ? null : upstream.body, {
+        status: upstream.status,
+        headers: responseHeaders,
+    });
+}
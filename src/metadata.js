@@ -0,0 +1,60 @@
+/**
+ * Metadata Sidecars
+ *
+ * Builds the .nfo (Kodi, Jellyfin) and .xml (Infuse metadata override) files served
+ * next to each .strm file, so media players scrape the right item the first time.
+ * Title, year, season and episode come from the parsed release name; DMM casts add
+ * their IMDb ID.
+ */
+
+import { escapeXml } from './webdav.js';
+
+// Extensions of the generated sidecar files
+export const SIDECAR_EXTENSIONS = ['nfo', 'xml'];
+
+function element(name, value, attributes = '') {
+    return value === null || value === undefined || value === ''
+        ? ''
+        : `\n    <${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Build a Kodi/Jellyfin .nfo file
+ *
+ * @param {Object} info - Parsed release (title, year, season, episode, type) plus imdbId and source
+ * @returns {string} XML document
+ */
+export function buildNfo(info) {
+    const root = info.type === 'episode' ? 'episodedetails' : 'movie';
+    const fields = info.type === 'episode'
+        ? element('title', `${info.title} S${String(info.season).padStart(2, '0')}E${String(info.episode).padStart(2, '0')}`) +
+            element('showtitle', info.title) +
+            element('season', info.season) +
+            element('episode', info.episode)
+        : element('title', info.title) +
+            element('year', info.year);
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<${root}>${fields}${element('uniqueid', info.imdbId, ' type="imdb" default="true"')}${element('source', info.source)}
+</${root}>
+`;
+}
+
+/**
+ * Build an Infuse metadata override (.xml) file
+ *
+ * @param {Object} info - Parsed release (title, year, season, episode, type) plus imdbId and source
+ * @returns {string} XML document
+ */
+export function buildInfuseXml(info) {
+    const type = info.type === 'episode' ? 'TV Show' : 'Movie';
+    const fields = element('title', info.title) +
+        element('year', info.year) +
+        (info.type === 'episode' ? element('season', info.season) + element('episode', info.episode) : '') +
+        element('imdbid', info.imdbId) +
+        element('source', info.source);
+
+    return `<media type="${type}">${fields}
+</media>
+`;
+}
@@ -0,0 +1,179 @@
+/**
+ * Metrics
+ *
+ * Prometheus counters and histograms for /metrics: requests by route and method, Real-Debrid
+ * and DMM calls, cache lookups, add-magnet outcomes and unrestricted URL refreshes.
+ *
+ * Values are kept in memory: per process on Node.js, per isolate on Cloudflare Workers
+ * (each isolate reports its own counts from its start).
+ */
+
+// Latency buckets in seconds, from cached WebDAV listings to slow Real-Debrid calls
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const startedAt = Date.now();
+
+// name -> { help, type, series: Map(labels key -> { labels, value } or histogram state) }
+const registry = new Map();
+
+function getMetric(name, type, help) {
+    if (!registry.has(name)) {
+        registry.set(name, { type, help, series: new Map() });
+    }
+    return registry.get(name);
+}
+
+function getSeries(metric, labels, create) {
+    const key = JSON.stringify(labels);
+    if (!metric.series.has(key)) {
+        metric.series.set(key, { labels, ...create() });
+    }
+    return metric.series.get(key);
+}
+
+function increment(name, help, labels, amount = 1) {
+    getSeries(getMetric(name, 'counter', help), labels, () => ({ value: 0 })).value += amount;
+}
+
+function observe(name, help, labels, seconds) {
+    const series = getSeries(getMetric(name, 'histogram', help), labels, () => ({
+        buckets: DURATION_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0,
+    }));
+    DURATION_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) series.buckets[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+}
+
+/**
+ * Normalize an upstream path to a low-cardinality endpoint label
+ * IDs after the second segment are replaced, e.g. /torrents/info/ABC -> /torrents/info/:id
+ *
+ * @param {string} path - API path, with or without query string
+ * @returns {string} Endpoint label
+ */
+export function toEndpoint(path) {
+    const segments = path.split('?')[0].split('/').filter(Boolean);
+    return `/${segments.map((segment, i) => (i < 2 ? segment : ':id')).join('/')}`;
+}
+
+/**
+ * Count a request and its latency
+ *
+ * @param {string} method - HTTP method
+ * @param {string} route - Matched route pattern, e.g. /downloads/:month/
+ * @param {number} status - Response status
+ * @param {number} startedAtMs - Date.now() when the request arrived
+ */
+export function recordRequest(method, route, status, startedAtMs) {
+    increment('rdcast_http_requests_total', 'Requests by method, route and status', { method, route, status: String(status) });
+    observe('rdcast_http_request_duration_seconds', 'Request latency by method and route', { method, route }, (Date.now() - startedAtMs) / 1000);
+}
+
+/**
+ * Count a Real-Debrid or DMM call and its latency
+ *
+ * @param {string} service - Upstream name: 'rd', 'rd-oauth' or 'dmm'
+ * @param {string} path - API path called
+ * @param {number|null} status - HTTP status, or null if the call failed without a response
+ * @param {number} startedAtMs - Date.now() before the call
+ */
+export function recordUpstream(service, path, status, startedAtMs) {
+    const endpoint = toEndpoint(path);
+    increment('rdcast_upstream_requests_total', 'Upstream API calls by service, endpoint and status', { service, endpoint, status: status ? String(status) : 'error' });
+    observe('rdcast_upstream_request_duration_seconds', 'Upstream API latency by service and endpoint', { service, endpoint }, (Date.now() - startedAtMs) / 1000);
+}
+
+/**
+ * Count a cache lookup
+ *
+ * @param {string} group - Key group, without the user suffix
+ * @param {boolean} hit - True if the value came from the cache or a fetch already in flight
+ */
+export function recordCacheLookup(group, hit) {
+    increment('rdcast_cache_lookups_total', 'Cache lookups by key group and result', { group, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Count an add-magnet outcome
+ *
+ * @param {string} outcome - 'invalid' (malformed magnet), 'added' (accepted by RD), 'rejected' (RD refused it),
+ *     'done' or 'failed'
+ */
+export function recordAddOutcome(outcome) {
+    increment('rdcast_add_magnet_total', 'Add-magnet outcomes', { outcome });
+}
+
+/**
+ * Count a refresh of a stale unrestricted URL
+ *
+ * @param {boolean} success - False if Real-Debrid could not unrestrict the link again
+ */
+export function recordUnrestrictRefresh(success) {
+    increment('rdcast_unrestrict_refresh_total', 'Refreshes of stale unrestricted URLs by result', { result: success ? 'success' : 'failure' });
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels, extra = {}) {
+    const pairs = Object.entries({ ...labels, ...extra }).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Hit ratio per cache group, derived from the lookup counters
+ */
+function getCacheHitRatios() {
+    const groups = {};
+    for (const { labels, value } of registry.get('rdcast_cache_lookups_total')?.series.values() || []) {
+        groups[labels.group] = groups[labels.group] || { hit: 0, total: 0 };
+        groups[labels.group].total += value;
+        if (labels.result === 'hit') groups[labels.group].hit += value;
+    }
+    return Object.entries(groups).map(([group, { hit, total }]) => ({ labels: { group }, value: total ? hit / total : 0 }));
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ *
+ * @returns {string} Metrics text
+ */
+export function renderMetrics() {
+    const lines = [
+        '# HELP rdcast_uptime_seconds Seconds since this process or isolate started',
+        '# TYPE rdcast_uptime_seconds gauge',
+        `rdcast_uptime_seconds ${(Date.now() - startedAt) / 1000}`,
+    ];
+
+    const ratios = getCacheHitRatios();
+    if (ratios.length) {
+        lines.push('# HELP rdcast_cache_hit_ratio Share of cache lookups answered without an upstream call');
+        lines.push('# TYPE rdcast_cache_hit_ratio gauge');
+        for (const { labels, value } of ratios) {
+            lines.push(`rdcast_cache_hit_ratio${formatLabels(labels)} ${value}`);
+        }
+    }
+
+    for (const [name, metric] of registry) {
+        lines.push(`# HELP ${name} ${metric.help}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+            if (metric.type === 'counter') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+            DURATION_BUCKETS.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels(series.labels, { le: bound })} ${series.buckets[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
@@ -1,48 +1,243 @@
+import * as logger from './logger.js';
+import * as metrics from './metrics.js';
+
 const RD_API_BASE = 'https://api.real-debrid.com/rest/1.0';
 
+// Request timeout and retries for 5xx and network errors
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+// Longest Retry-After we wait for inside a request; longer ones fail fast
+const MAX_RETRY_AFTER_MS = 10000;
+
+// Real-Debrid allows 250 requests per minute; the bucket is shared by every call in this process
+const RATE_LIMIT_PER_MINUTE = 250;
+const rateLimiter = {
+    tokens: RATE_LIMIT_PER_MINUTE,
+    updatedAt: Date.now(),
+    // Set from Retry-After when RD answers 429
+    blockedUntil: 0,
+};
+
+/**
+ * Error returned by the Real-Debrid API, or a request that never got a response
+ */
+class RealDebridError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number|null} status - HTTP status, or null for timeouts and network errors
+     * @param {number|null} [errorCode=null] - RD's error_code from the response body
+     */
+    constructor(message, status, errorCode = null) {
+        super(message);
+        this.name = 'RealDebridError';
+        this.status = status;
+        this.errorCode = errorCode;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until the shared token bucket allows another request
+ */
+async function acquireRateLimitToken() {
+    for (;;) {
+        const now = Date.now();
+        if (now < rateLimiter.blockedUntil) {
+            await sleep(rateLimiter.blockedUntil - now);
+            continue;
+        }
+
+        const refill = (now - rateLimiter.updatedAt) * RATE_LIMIT_PER_MINUTE / 60000;
+        rateLimiter.tokens = Math.min(RATE_LIMIT_PER_MINUTE, rateLimiter.tokens + refill);
+        rateLimiter.updatedAt = now;
+        if (rateLimiter.tokens >= 1) {
+            rateLimiter.tokens -= 1;
+            return;
+        }
+        await sleep(Math.ceil((1 - rateLimiter.tokens) * 60000 / RATE_LIMIT_PER_MINUTE));
+    }
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): exponential backoff with full jitter
+ */
+function getBackoffDelay(attempt) {
+    return Math.round(Math.random() * BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ *
+ * @param {string|null} header - Retry-After header value
+ * @returns {number} Delay in milliseconds
+ */
+function parseRetryAfter(header) {
+    if (!header) return BACKOFF_BASE_MS;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = new Date(header).getTime();
+    return Number.isNaN(date) ? BACKOFF_BASE_MS : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build a RealDebridError from an unsuccessful response
+ */
+async function toRealDebridError(response) {
+    const errorBody = await response.text();
+    logger.error(`RD API Error: ${response.status} ${response.statusText}`, { body: errorBody });
+
+    let customMessage = '';
+    let errorCode = null;
+    try {
+        const errorJson = JSON.parse(errorBody);
+        if (errorJson.error) {
+            customMessage = `: ${errorJson.error}`;
+        }
+        errorCode = errorJson.error_code ?? null;
+    } catch (e) {
+        // Ignore JSON parse fail
+    }
+
+    return new RealDebridError(`Real-Debrid API request failed${customMessage} (${response.status})`, response.status, errorCode);
+}
+
+/**
+ * Log and count one Real-Debrid API call
+ */
+function recordCall(method, path, status, startedAt) {
+    logger.recordUpstream('rd', method, path, status, startedAt);
+    metrics.recordUpstream('rd', path, status, startedAt);
+}
+
+/**
+ * Call the Real-Debrid API
+ * Requests time out, are rate limited client-side, wait out 429 responses and are retried
+ * with backoff on 5xx and network errors. With OAuth credentials (config.refreshRdToken),
+ * a 401 refreshes the access token once and repeats the request.
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} path - API path, e.g. /torrents/info/{id}
+ * @param {Object} [options={}] - fetch options; `retry: false` disables retries on 5xx and
+ *     network errors for requests that are not safe to repeat, `withHeaders: true` also
+ *     returns the response headers, `timeoutMs` overrides config.rdTimeoutMs
+ * @returns {Promise<Object|undefined>} Parsed JSON, or undefined for 204 No Content;
+ *     { data, headers } with `withHeaders`
+ * @throws {RealDebridError} When RD returns an error or cannot be reached
+ */
 async function rdApiCall(config, path, options = {}) {
+    const { retry = true, withHeaders = false, timeoutMs = config.rdTimeoutMs || DEFAULT_TIMEOUT_MS, ...fetchOptions } = options;
     const url = `${RD_API_BASE}${path}`;
     const headers = {
-        ...options.headers,
+        ...fetchOptions.headers,
         'Authorization': `Bearer ${config.rdAccessToken}`,
     };
+    const method = fetchOptions.method || 'GET';
+    let refreshed = false;
 
-    const response = await fetch(url, { ...options, headers });
+    for (let attempt = 0; ; attempt++) {
+        await acquireRateLimitToken();
 
-    if (!response.ok) {
-        const errorBody = await response.text();
-        console.error(`RD API Error: ${response.status} ${response.statusText}`, errorBody);
-
-        let customMessage = '';
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const startedAt = Date.now();
+        let response;
         try {
-            const errorJson = JSON.parse(errorBody);
-            if (errorJson.error) {
-                customMessage = `: ${errorJson.error}`;
+            response = await fetch(url, { ...fetchOptions, headers, signal: controller.signal });
+
+            if (response.ok) {
+                // The timeout also covers reading the body
+                const data = response.status === 204 ? undefined : await response.json();
+                recordCall(method, path, response.status, startedAt);
+                return withHeaders ? { data, headers: response.headers } : data;
+            }
+        } catch (error) {
+            recordCall(method, path, null, startedAt);
+            const message = error.name === 'AbortError'
+                ? `Real-Debrid API request timed out after ${timeoutMs}ms`
+                : `Real-Debrid API request failed: ${error.message}`;
+            if (!retry || attempt >= MAX_RETRIES) {
+                throw new RealDebridError(message, null);
             }
-        } catch (e) {
-            // Ignore JSON parse fail
+            const delay = getBackoffDelay(attempt);
+            logger.warn(`${message}, retrying in ${delay}ms (${attempt + 1}/${MAX_RETRIES})`);
+            await sleep(delay);
+            continue;
+        } finally {
+            clearTimeout(timer);
         }
+        recordCall(method, path, response.status, startedAt);
 
-        throw new Error(`Real-Debrid API request failed${customMessage} (${response.status})`);
-    }
+        if (response.status === 401 && config.refreshRdToken && !refreshed) {
+            refreshed = true;
+            try {
+                headers['Authorization'] = `Bearer ${await config.refreshRdToken()}`;
+                logger.info('Real-Debrid access token refreshed');
+                await response.body?.cancel();
+                continue;
+            } catch (error) {
+                logger.error('Real-Debrid token refresh failed', error);
+            }
+        }
 
-    if (response.status === 204) { // No Content
-        return;
-    }
+        if (response.status === 429 && attempt < MAX_RETRIES) {
+            const delay = parseRetryAfter(response.headers.get('Retry-After'));
+            if (delay <= MAX_RETRY_AFTER_MS) {
+                // Hold back every other call too until RD accepts requests again
+                rateLimiter.blockedUntil = Date.now() + delay;
+                rateLimiter.tokens = 0;
+                logger.warn(`RD API rate limited, retrying in ${delay}ms (${attempt + 1}/${MAX_RETRIES})`);
+                await response.body?.cancel();
+                continue;
+            }
+        }
 
-    return response.json();
-}
+        if (response.status >= 500 && retry && attempt < MAX_RETRIES) {
+            const delay = getBackoffDelay(attempt);
+            logger.warn(`RD API Error: ${response.status}, retrying in ${delay}ms (${attempt + 1}/${MAX_RETRIES})`);
+            await response.body?.cancel();
+            await sleep(delay);
+            continue;
+        }
 
-async function addTorrent(config, magnetOrHash) {
-    const magnet = magnetOrHash.startsWith('magnet:')
-        ? magnetOrHash
-        : `magnet:?xt=urn:btih:${magnetOrHash}`;
+        throw await toRealDebridError(response);
+    }
+}
 
+/**
+ * Add a magnet link
+ * The link is sent as it is; jobs.createJob validates it first (see magnet.js)
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} magnet - Magnet link
+ * @returns {Promise<Object>} New torrent: id and uri
+ */
+async function addTorrent(config, magnet) {
     const body = `magnet=${encodeURIComponent(magnet)}`;
     return rdApiCall(config, '/torrents/addMagnet', {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
         body: body,
+        // A repeated add after a lost response would create a duplicate torrent
+        retry: false,
+    });
+}
+
+/**
+ * Add a .torrent file, e.g. from a private tracker
+ *
+ * @param {Object} config - Configuration object
+ * @param {ArrayBuffer|Uint8Array} torrentFile - Contents of the .torrent file
+ * @returns {Promise<Object>} New torrent: id and uri
+ */
+async function addTorrentFile(config, torrentFile) {
+    return rdApiCall(config, '/torrents/addTorrent', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/x-bittorrent' },
+        body: torrentFile,
+        // A repeated add after a lost response would create a duplicate torrent
+        retry: false,
     });
 }
 
@@ -79,7 +274,7 @@ async function unrestrictLink(config, link, userIP = null) {
     // Add IP parameter only if it's a valid public IP
     if (userIP) {
         body += `&ip=${encodeURIComponent(userIP)}`;
-        console.log(`Unrestricting link with user IP: ${userIP}`);
+        logger.debug(`Unrestricting link with user IP: ${userIP}`);
     }
 
     const data = await rdApiCall(config, '/unrestrict/link', {
@@ -90,20 +285,104 @@ async function unrestrictLink(config, link, userIP = null) {
     return data.download;
 }
 
-async function getTorrentsList(config) {
-    return rdApiCall(config, '/torrents');
+/**
+ * Extracts the link ID from a Real-Debrid hoster link (https://real-debrid.com/d/{id})
+ *
+ * @param {string} rdLink - Original Real-Debrid link
+ * @returns {string|null} Link ID or null if not an RD hoster link
+ */
+function extractLinkId(rdLink) {
+    if (!rdLink) return null;
+    try {
+        const url = new URL(rdLink);
+        const pathParts = url.pathname.split('/');
+        if (url.hostname === 'real-debrid.com' && pathParts[1] === 'd' && pathParts[2]) {
+            return pathParts[2];
+        }
+    } catch (error) {
+        logger.error('Error parsing RD link', error);
+    }
+    return null;
 }
 
-async function getDownloadsList(config, limit = 50) {
-    return rdApiCall(config, `/downloads?limit=${limit}`);
+/**
+ * Get one page of the torrent library, most recently added first
+ *
+ * @param {Object} config - Configuration object
+ * @param {number} [limit=50] - Entries per page (RD allows up to 5000)
+ * @param {Object} [options={}] - `page` (1-based)
+ * @returns {Promise<{torrents: Array, totalCount: number}>} Torrents on the page and the
+ *     size of the whole library (X-Total-Count)
+ */
+async function getTorrentsList(config, limit = 50, { page } = {}) {
+    const params = new URLSearchParams({ limit });
+    if (page) params.set('page', page);
+
+    // RD answers 204 No Content past the last page
+    const { data, headers } = await rdApiCall(config, `/torrents?${params}`, { withHeaders: true });
+    const torrents = data || [];
+    const totalCount = parseInt(headers.get('X-Total-Count'), 10);
+    return { torrents, totalCount: Number.isNaN(totalCount) ? torrents.length : totalCount };
+}
+
+/**
+ * Get one page of the download history, most recent first
+ *
+ * @param {Object} config - Configuration object
+ * @param {number} [limit=50] - Entries per page (RD allows up to 5000)
+ * @param {Object} [options={}] - `page` (1-based) or `offset`; RD rejects both together
+ * @returns {Promise<{downloads: Array, totalCount: number}>} Downloads on the page and the
+ *     size of the whole history (X-Total-Count)
+ */
+async function getDownloadsList(config, limit = 50, { page, offset } = {}) {
+    const params = new URLSearchParams({ limit });
+    if (page) params.set('page', page);
+    else if (offset) params.set('offset', offset);
+
+    // RD answers 204 No Content past the last page
+    const { data, headers } = await rdApiCall(config, `/downloads?${params}`, { withHeaders: true });
+    const downloads = data || [];
+    const totalCount = parseInt(headers.get('X-Total-Count'), 10);
+    return { downloads, totalCount: Number.isNaN(totalCount) ? downloads.length : totalCount };
+}
+
+/**
+ * Get the Real-Debrid account
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - rdApiCall options, e.g. `retry: false` and `timeoutMs`
+ * @returns {Promise<Object>} User: username, email, points, type ('premium' or 'free'),
+ *     premium (seconds left) and expiration (ISO date)
+ */
+async function getUser(config, options = {}) {
+    return rdApiCall(config, '/user', options);
+}
+
+/**
+ * Get the traffic used per day and hoster
+ *
+ * @param {Object} config - Configuration object
+ * @param {number} [days=7] - Number of days, up to 31
+ * @returns {Promise<Object>} Usage by date (YYYY-MM-DD): { host: { [hoster]: bytes }, bytes }
+ */
+async function getTrafficDetails(config, days = 7) {
+    const end = new Date();
+    const start = new Date(end.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    const params = new URLSearchParams({ start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) });
+    return await rdApiCall(config, `/traffic/details?${params}`) || {};
 }
 
 export {
+    RealDebridError,
+    getUser,
+    getTrafficDetails,
     addTorrent,
+    addTorrentFile,
     getTorrentInfo,
     getTorrentsList,
     getDownloadsList,
     selectFiles,
     deleteTorrent,
     unrestrictLink,
+    extractLinkId,
 };
\ No newline at end of file
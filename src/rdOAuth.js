@@ -0,0 +1,144 @@
+/**
+ * Real-Debrid OAuth (device flow)
+ *
+ * Replaces the private API token with OAuth credentials that can be rotated from /setup/rd:
+ * 1. get a device code and a user code for the open source client ID
+ * 2. the user enters the code at real-debrid.com/device
+ * 3. poll for a client ID and secret bound to the user
+ * 4. exchange them and the device code for an access token and a refresh token
+ *
+ * The endpoints are read from config.rdOAuthUrl (RD_OAUTH_URL), so the flow can be
+ * run against a local stand-in.
+ */
+
+import { RealDebridError } from './rdClient.js';
+import * as logger from './logger.js';
+import * as metrics from './metrics.js';
+
+// Client ID for open source apps, see https://api.real-debrid.com/#device_auth_no_secret
+const OPEN_SOURCE_CLIENT_ID = 'X245A4XAIBGVM';
+const DEVICE_GRANT_TYPE = 'http://oauth.net/grant_type/device/1.0';
+
+// Refreshes in progress in this process or isolate: refresh token -> Promise
+const inFlight = new Map();
+
+/**
+ * Call an OAuth endpoint and parse the JSON response
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} path - Endpoint path, e.g. /device/code?client_id=…
+ * @param {Object} [options={}] - fetch options
+ * @returns {Promise<Object>} Parsed JSON
+ * @throws {RealDebridError} When the endpoint returns an error
+ */
+async function oauthCall(config, path, options = {}) {
+    const method = options.method || 'GET';
+    const startedAt = Date.now();
+    let response;
+    try {
+        response = await fetch(`${config.rdOAuthUrl}${path}`, options);
+    } catch (error) {
+        logger.recordUpstream('rd-oauth', method, path, null, startedAt);
+        metrics.recordUpstream('rd-oauth', path, null, startedAt);
+        throw error;
+    }
+    logger.recordUpstream('rd-oauth', method, path, response.status, startedAt);
+    metrics.recordUpstream('rd-oauth', path, response.status, startedAt);
+    const text = await response.text();
+    let data = {};
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch (error) {
+        // Keep the status for the error below
+    }
+    if (!response.ok) {
+        const detail = data.error ? `: ${data.error}` : '';
+        throw new RealDebridError(`Real-Debrid OAuth request failed${detail} (${response.status})`, response.status, data.error_code ?? null);
+    }
+    return data;
+}
+
+/**
+ * Request a device code and the user code to show to the user
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Pending device authorization: deviceCode, userCode, verificationUrl, interval and expiresAt
+ */
+export async function startDeviceFlow(config) {
+    const data = await oauthCall(config, `/device/code?client_id=${OPEN_SOURCE_CLIENT_ID}&new_credentials=yes`);
+    return {
+        deviceCode: data.device_code,
+        userCode: data.user_code,
+        verificationUrl: data.direct_verification_url || data.verification_url,
+        interval: data.interval || 5,
+        expiresAt: new Date(Date.now() + (data.expires_in || 600) * 1000).toISOString(),
+    };
+}
+
+/**
+ * Exchange a device code or refresh token for an access token
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} clientId - User-bound client ID
+ * @param {string} clientSecret - User-bound client secret
+ * @param {string} code - Device code, or the refresh token
+ * @returns {Promise<Object>} Credentials: clientId, clientSecret, accessToken, refreshToken and expiresAt
+ */
+async function requestToken(config, clientId, clientSecret, code) {
+    const data = await oauthCall(config, '/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ client_id: clientId, client_secret: clientSecret, code, grant_type: DEVICE_GRANT_TYPE }).toString(),
+    });
+    return {
+        clientId,
+        clientSecret,
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token,
+        expiresAt: new Date(Date.now() + (data.expires_in || 0) * 1000).toISOString(),
+    };
+}
+
+/**
+ * Poll a pending device authorization once
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} device - Pending device authorization from startDeviceFlow
+ * @returns {Promise<Object|null>} Credentials once the user has entered the code, or null while pending
+ * @throws {RealDebridError} When the device code has expired
+ */
+export async function pollDeviceFlow(config, device) {
+    if (new Date(device.expiresAt).getTime() < Date.now()) {
+        throw new RealDebridError('Real-Debrid device code expired', null);
+    }
+
+    let data;
+    try {
+        data = await oauthCall(config, `/device/credentials?client_id=${OPEN_SOURCE_CLIENT_ID}&code=${encodeURIComponent(device.deviceCode)}`);
+    } catch (error) {
+        // RD answers with an error until the user has entered the code
+        if (error.status >= 400 && error.status < 500) return null;
+        throw error;
+    }
+    if (!data.client_id || !data.client_secret) return null;
+
+    return requestToken(config, data.client_id, data.client_secret, device.deviceCode);
+}
+
+/**
+ * Get a new access token with the refresh token
+ * Concurrent refreshes with the same refresh token share one request.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} credentials - Stored credentials from pollDeviceFlow or an earlier refresh
+ * @returns {Promise<Object>} New credentials
+ */
+export async function refreshCredentials(config, credentials) {
+    if (inFlight.has(credentials.refreshToken)) {
+        return inFlight.get(credentials.refreshToken);
+    }
+    const promise = requestToken(config, credentials.clientId, credentials.clientSecret, credentials.refreshToken)
+        .finally(() => inFlight.delete(credentials.refreshToken));
+    inFlight.set(credentials.refreshToken, promise);
+    return promise;
+}
@@ -0,0 +1,164 @@
+/**
+ * Release Name Parser
+ *
+ * Extracts title, year, season, episode and quality details from scene-style release
+ * names, e.g. "Some.Show.S02E05.2160p.WEB-DL.DV.HDR10.x265-GRP.mkv", so media servers
+ * (Jellyfin, Kodi, Plex) can match files in the /library/ tree.
+ */
+
+// Media files listed in /library/ and cast from multi-file torrents
+export const VIDEO_EXTENSIONS = ['mkv', 'mp4', 'm4v', 'avi', 'mov', 'wmv', 'ts', 'm2ts', 'webm', 'mpg', 'mpeg', 'flv'];
+
+const RESOLUTIONS = [
+    [/^(2160p|4k|uhd)$/i, '2160p'],
+    [/^1080[pi]$/i, '1080p'],
+    [/^720p$/i, '720p'],
+    [/^576p$/i, '576p'],
+    [/^480p$/i, '480p'],
+];
+
+const CODECS = [
+    [/^(x265|h\.?265|hevc)$/i, 'HEVC'],
+    [/^(x264|h\.?264|avc)$/i, 'AVC'],
+    [/^av1$/i, 'AV1'],
+    [/^vp9$/i, 'VP9'],
+    [/^(xvid|divx)$/i, 'XviD'],
+];
+
+const HDR_FORMATS = [
+    [/^(dv|dovi|dolbyvision)$/i, 'DV'],
+    [/^(hdr10\+|hdr10plus)$/i, 'HDR10+'],
+    [/^hdr10$/i, 'HDR10'],
+    [/^hdr$/i, 'HDR'],
+    [/^hlg$/i, 'HLG'],
+];
+
+// Tokens that end the title: sources, editions and release tags
+const RELEASE_TAGS = /^(web-?dl|web-?rip|web|blu-?ray|bdrip|brrip|bdremux|remux|hdtv|hdrip|dvdrip|dvd|dvdscr|proper|repack|rerip|extended|unrated|remastered|internal|limited|complete|multi|dual|subbed|dubbed|10bit|8bit|imax|amzn|nf|dsnp|hmax|atvp|hulu|ddp?5\.1|dd\+?|atmos|truehd|dts(-hd)?|aac(2\.0)?|ac3)$/i;
+
+// S02E05, S02E05E06, S02E05-E06, S02E05-06, s2e5
+const EPISODE_PATTERN = /^s(\d{1,2})e(\d{1,3})(?:-?e\d{1,3})*(?:-\d{1,3})?$/i;
+// Longest episode range expanded, so a typo like E01-E999 does not list hundreds of episodes
+const MAX_EPISODE_RANGE = 50;
+// 2x05
+const CROSS_EPISODE_PATTERN = /^(\d{1,2})x(\d{2,3})$/i;
+const YEAR_PATTERN = /^\(?((?:19|20)\d{2})\)?$/;
+
+function matchTable(table, token) {
+    const match = table.find(([pattern]) => pattern.test(token));
+    return match ? match[1] : null;
+}
+
+/**
+ * Episode numbers after the season: "E05E06" -> [5, 6], "E01-E03" and "E01-03" -> [1, 2, 3]
+ */
+function getEpisodeNumbers(episodes) {
+    const numbers = [];
+    for (const [, dash, digits] of episodes.matchAll(/(-?)e?(\d{1,3})/gi)) {
+        const number = parseInt(digits, 10);
+        const previous = numbers[numbers.length - 1];
+        if (dash && previous !== undefined && number > previous && number - previous <= MAX_EPISODE_RANGE) {
+            for (let episode = previous + 1; episode <= number; episode++) numbers.push(episode);
+        } else {
+            numbers.push(number);
+        }
+    }
+    return numbers;
+}
+
+/**
+ * Parse a release name
+ *
+ * @param {string} filename - Release or file name, with or without extension
+ * @returns {{title: string, year: number|null, season: number|null, episode: number|null,
+ *     episodes: Array<number>, resolution: string|null, codec: string|null, hdr: Array<string>,
+ *     extension: string|null, type: string}} Parsed release; type is 'episode' when a season
+ *     and episode were found, otherwise 'movie'. The title is empty if the name starts with the
+ *     episode, e.g. "S01E01.mkv"
+ */
+export function parseReleaseName(filename) {
+    let name = (filename || '').split('/').pop();
+    let extension = null;
+    const extMatch = name.match(/\.([a-z0-9]{2,4})$/i);
+    if (extMatch && (VIDEO_EXTENSIONS.includes(extMatch[1].toLowerCase()) || ['srt', 'sub', 'nfo', 'strm'].includes(extMatch[1].toLowerCase()))) {
+        extension = extMatch[1].toLowerCase();
+        name = name.slice(0, -extMatch[0].length);
+    }
+
+    // Leading "[Group] " tags are not part of the title
+    name = name.replace(/^(\[[^\]]*\]\s*)+/, '');
+
+    const tokens = name
+        .split(/[\s._[\]]+/)
+        .filter(Boolean);
+
+    const result = {
+        title: '',
+        year: null,
+        season: null,
+        episode: null,
+        episodes: [],
+        resolution: null,
+        codec: null,
+        hdr: [],
+        extension,
+        type: 'movie',
+    };
+
+    // The title ends at the first episode or quality token, or at the last year before it
+    let markerIndex = tokens.length;
+    let yearIndex = null;
+
+    tokens.forEach((token, index) => {
+        // "(1080p)", and "x265-GRP" where the release group is attached to the last token
+        const bare = token.replace(/^\(|\)$/g, '');
+        const candidates = [bare, bare.replace(/-[^-]+$/, '')];
+        const match = (table) => candidates.map(t => matchTable(table, t)).find(Boolean);
+
+        const episodeMatch = token.match(EPISODE_PATTERN) || token.match(CROSS_EPISODE_PATTERN);
+        if (episodeMatch) {
+            if (result.season === null) {
+                result.season = parseInt(episodeMatch[1], 10);
+                result.episodes = getEpisodeNumbers(token.slice(token.search(/[ex]/i) + 1));
+                result.episode = result.episodes[0];
+                result.type = 'episode';
+            }
+            markerIndex = Math.min(markerIndex, index);
+            return;
+        }
+
+        const yearMatch = token.match(YEAR_PATTERN);
+        // A year at the start is part of the title ("2001 A Space Odyssey 1968")
+        if (yearMatch && index > 0 && index < markerIndex) {
+            result.year = parseInt(yearMatch[1], 10);
+            yearIndex = index;
+            return;
+        }
+
+        const resolution = match(RESOLUTIONS);
+        const codec = match(CODECS);
+        const hdr = match(HDR_FORMATS);
+        if (resolution) result.resolution = result.resolution || resolution;
+        if (codec) result.codec = result.codec || codec;
+        if (hdr && !result.hdr.includes(hdr)) result.hdr.push(hdr);
+        if (resolution || codec || hdr || candidates.some(t => RELEASE_TAGS.test(t)) || /^s\d{1,2}$/i.test(token)) {
+            markerIndex = Math.min(markerIndex, index);
+        }
+    });
+
+    const titleEnd = yearIndex !== null ? Math.min(yearIndex, markerIndex) : markerIndex;
+    // Empty for bare episode names like "S01E01.mkv"
+    result.title = tokens.slice(0, titleEnd).join(' ').replace(/[\s\-(]+$/, '').trim();
+
+    return result;
+}
+
+/**
+ * Make a name safe for use as a WebDAV path segment on every OS
+ *
+ * @param {string} name - Title or filename
+ * @returns {string} Name without path separators and reserved characters
+ */
+export function toSafeName(name) {
+    return (name || '').replace(/[\\/:*?"<>|]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
@@ -3,15 +3,17 @@ import { serve } from '@hono/node-server';
 import { serveStatic } from '@hono/node-server/serve-static';
 import app from './app.js';
 import { getConfig } from './config.node.js';
+import * as logger from './logger.js';
 
 const config = getConfig(process.env);
+logger.configureLogger(config);
 
 // Static file serving for Node.js - only serve actual static asset directories
 app.use('/style.css', serveStatic({ path: './public/style.css' }));
 app.use('/Infuse/*', serveStatic({ root: './public' }));
 app.use('/metadata/*', serveStatic({ root: './public' }));
 
-console.log('Starting Node.js server...');
+logger.info('Starting Node.js server...');
 
 serve({
     fetch: app.fetch,
@@ -21,6 +23,16 @@ serve({
     // Display localhost instead of 0.0.0.0 for user-friendly URLs
     const displayAddress = info.address === '0.0.0.0' || info.address === '::' ? 'localhost' : info.address;
 
+    // The banner would break one-object-per-line JSON logs
+    if (config.logFormat === 'json') {
+        logger.info('Cast Magnet Link Service started', {
+            url: `http://${displayAddress}:${info.port}`,
+            webdavUsername: config.webdavUsername,
+            ...(config.multiUser && { usersFile: config.usersFile }),
+        });
+        return;
+    }
+
     console.log(`
 ╔═══════════════════════════════════════════════╗
 ║         Cast Magnet Link Service Started      ║
@@ -31,4 +43,7 @@ serve({
 WebDAV Credentials:
   Username: ${config.webdavUsername}
   Password: ********`);
+    if (config.multiUser) {
+        console.log(`  Users:    ${config.usersFile}`);
+    }
 });
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Signed URLs
+ *
+ * HMAC-SHA256 signatures over a URL path and expiry (`?sig=…&exp=…`), so media players
+ * and apps that cannot send Basic Auth credentials can open .strm play links and
+ * shared collections. A signature for a path ending in "/" covers everything below it.
+ *
+ * Uses Web Crypto, available on both Node.js and Cloudflare Workers.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Sign a path and expiry
+ *
+ * @param {string} secret - Server secret
+ * @param {string} path - URL path (percent-encoded, as in URL.pathname)
+ * @param {number} exp - Expiry in seconds since the epoch
+ * @returns {Promise<string>} Hex signature
+ */
+export async function signPath(secret, path, exp) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${path}\n${exp}`));
+    return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Add sig and exp parameters to a URL
+ *
+ * @param {string} secret - Server secret
+ * @param {URL} url - URL to sign; its pathname is the signed scope
+ * @param {number} exp - Expiry in seconds since the epoch
+ * @returns {Promise<string>} Signed URL
+ */
+export async function signUrl(secret, url, exp) {
+    const signed = new URL(url);
+    signed.searchParams.set('sig', await signPath(secret, signed.pathname, exp));
+    signed.searchParams.set('exp', String(exp));
+    return signed.toString();
+}
+
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Check a signature for a request path
+ * The signature may be for the path itself or for any parent collection ("/manual/", "/manual/Show/")
+ *
+ * @param {string} secret - Server secret
+ * @param {string} path - Request path (percent-encoded, as in URL.pathname)
+ * @param {string} sig - Signature from the query string
+ * @param {string} exp - Expiry from the query string
+ * @returns {Promise<boolean>} True if the signature is valid and not expired
+ */
+export async function verifySignedPath(secret, path, sig, exp) {
+    if (!sig || !/^\d+$/.test(exp || '') || Number(exp) * 1000 < Date.now()) {
+        return false;
+    }
+
+    const segments = path.split('/').filter(Boolean);
+    const scopes = [path];
+    for (let i = segments.length - 1; i >= 1; i--) {
+        scopes.push(`/${segments.slice(0, i).join('/')}/`);
+    }
+
+    for (const scope of scopes) {
+        if (timingSafeEqual(await signPath(secret, scope, exp), sig)) {
+            return true;
+        }
+    }
+    return false;
+}
@@ -1,5 +1,19 @@
+/**
+ * Storage
+ *
+ * .strm entries, add-magnet jobs, display-name overrides, WebDAV locks, upstream snapshots and
+ * Real-Debrid OAuth credentials, behind one interface with three backends:
+ * - Cloudflare Workers: KV (CAST_MAGNET_LINK), or D1 when a CAST_DB database is bound
+ * - Node.js: JSON files in DATA_DIR, or SQLite with STORAGE_BACKEND=sqlite
+ *
+ * migrateStorage() imports the KV entries or JSON files (including the legacy cast-state.json)
+ * into the SQL backend.
+ */
+
 import { promises as fs } from 'fs';
 import path from 'path';
+import { REGISTRY_PREFIX } from './users.js';
+import * as logger from './logger.js';
 const isWorker = typeof caches !== 'undefined';
 
 // Conditionally import config only in Node.js environment
@@ -9,24 +23,116 @@ if (!isWorker) {
     config = getConfig(process.env);
 }
 
+// Generated .strm entries expire when they have not been generated again within 7 days;
+// manually added entries (add magnet) are kept until they are deleted
+const STRM_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Whether a stored .strm entry has expired
+ *
+ * @param {Object} entry - Entry with generatedAt and manuallyAdded
+ * @returns {boolean} True for generated entries older than STRM_TTL_SECONDS
+ */
+function isStrmEntryExpired(entry) {
+    return !entry.manuallyAdded && Date.now() - new Date(entry.generatedAt).getTime() >= STRM_TTL_SECONDS * 1000;
+}
+
+// Add-magnet jobs share the KV namespace with .strm entries under this prefix
+const JOB_PREFIX = 'job:';
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+
+// WebDAV display-name overrides (set by MOVE) and locks, under their own prefixes
+const NAME_PREFIX = 'name:';
+const NAME_TTL_SECONDS = 30 * 24 * 60 * 60;
+const LOCK_PREFIX = 'lock:';
+
+// Last good upstream listing per collection, served while RD or DMM is down
+const SNAPSHOT_PREFIX = 'snapshot:';
+
+// Real-Debrid OAuth credentials from /setup/rd (never expire; the refresh token renews them)
+const RD_CREDENTIALS_KEY = 'oauth:rd';
+
+// Written and read back by /health?deep=1; expires on its own
+const HEALTH_PROBE_KEY = 'health:probe';
+const HEALTH_PROBE_TTL_SECONDS = 60;
+
+// Registered users' keys (multi-user mode) live under "user/{username}/"; the environment user's keys are unprefixed
+const USER_PREFIX = 'user/';
+
+const RESERVED_PREFIXES = [JOB_PREFIX, NAME_PREFIX, LOCK_PREFIX, SNAPSHOT_PREFIX, RD_CREDENTIALS_KEY, HEALTH_PROBE_KEY, USER_PREFIX, REGISTRY_PREFIX];
+
 // --- Worker (Cloudflare KV) Implementation ---
 
+/**
+ * KV namespace of the current user: the binding itself, or a view that prefixes every key
+ *
+ * @param {Object} env - Environment with the CAST_MAGNET_LINK binding and STORAGE_NAMESPACE
+ * @returns {Object} Object with the KV get, put, delete and list methods
+ */
+function kv(env) {
+    const binding = env.CAST_MAGNET_LINK;
+    const namespace = env.STORAGE_NAMESPACE;
+    if (!namespace) return binding;
+
+    const prefix = `${USER_PREFIX}${namespace}/`;
+    return {
+        get: (key, type) => binding.get(prefix + key, type),
+        put: (key, value, options) => binding.put(prefix + key, value, options),
+        delete: (key) => binding.delete(prefix + key),
+        async list(options = {}) {
+            const result = await binding.list({ ...options, prefix: prefix + (options.prefix || '') });
+            return { ...result, keys: result.keys.map(k => ({ ...k, name: k.name.slice(prefix.length) })) };
+        },
+    };
+}
+
+/**
+ * List every key under a prefix, following KV's cursor past the 1000 keys of one page
+ *
+ * @param {Object} store - KV namespace from kv()
+ * @param {string} [prefix=''] - Key prefix
+ * @returns {Promise<Array>} Keys with name and expiration
+ */
+async function listAllKeys(store, prefix = '') {
+    const keys = [];
+    let cursor;
+    do {
+        const result = await store.list({ prefix, cursor });
+        keys.push(...result.keys);
+        cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
+    return keys;
+}
+
+/**
+ * Unexpired locks in a stored lock list
+ * A path holds several shared locks or one exclusive lock; older entries are a single lock object.
+ *
+ * @param {Array|Object|null} stored - Stored locks of a path
+ * @returns {Array<Object>} Active locks
+ */
+function activeLocks(stored) {
+    return [].concat(stored || []).filter(lock => new Date(lock.expiresAt).getTime() > Date.now());
+}
+
+// KV put options for a .strm entry: generated entries expire, manually added ones do not
+function kvStrmOptions(entry) {
+    return entry.manuallyAdded ? {} : { expirationTtl: STRM_TTL_SECONDS };
+}
+
 const workerStorage = {
     // STRM Cache
     async getStrmEntry(env, linkId) {
-        return env.CAST_MAGNET_LINK.get(linkId, 'json');
+        return kv(env).get(linkId, 'json');
     },
-    async addStrmEntry(env, linkId, originalLink, unrestrictedUrl, filename, manuallyAdded = false, filesize = 0) {
+    async addStrmEntry(env, linkId, originalLink, unrestrictedUrl, filename, manuallyAdded = false, filesize = 0, folder = null, hash = null, imdbId = null) {
         // If the new entry is not manually added, check if an existing manually added entry exists.
         if (!manuallyAdded) {
             const existingEntry = await this.getStrmEntry(env, linkId);
             if (existingEntry && existingEntry.manuallyAdded) {
                 // If a manually added entry exists, just update its generation date to keep it fresh
                 existingEntry.generatedAt = new Date().toISOString();
-                const sevenDaysInSeconds = 7 * 24 * 60 * 60;
-                return env.CAST_MAGNET_LINK.put(linkId, JSON.stringify(existingEntry), {
-                    expirationTtl: sevenDaysInSeconds,
-                });
+                return kv(env).put(linkId, JSON.stringify(existingEntry), kvStrmOptions(existingEntry));
             }
         }
 
@@ -37,102 +143,952 @@ const workerStorage = {
             filename,
             manuallyAdded,
             filesize,
+            folder,
+            hash,
+            imdbId,
         };
-        // KV items have a minimum 60s TTL. 7 days in seconds.
-        const sevenDaysInSeconds = 7 * 24 * 60 * 60;
-        return env.CAST_MAGNET_LINK.put(linkId, JSON.stringify(entry), {
-            expirationTtl: sevenDaysInSeconds,
-        });
+        return kv(env).put(linkId, JSON.stringify(entry), kvStrmOptions(entry));
     },
     async updateStrmUrl(env, linkId, newUnrestrictedUrl) {
         const entry = await this.getStrmEntry(env, linkId);
         if (entry) {
             entry.unrestrictedUrl = newUnrestrictedUrl;
             entry.generatedAt = new Date().toISOString();
-            const sevenDaysInSeconds = 7 * 24 * 60 * 60;
-            return env.CAST_MAGNET_LINK.put(linkId, JSON.stringify(entry), {
-                expirationTtl: sevenDaysInSeconds,
-            });
+            return kv(env).put(linkId, JSON.stringify(entry), kvStrmOptions(entry));
         }
     },
+    async deleteStrmEntry(env, linkId) {
+        return kv(env).delete(linkId);
+    },
     async getAllStrmEntries(env) {
-        const list = await env.CAST_MAGNET_LINK.list();
-        const keys = list.keys.map(k => k.name);
-        const promises = keys.map(key => this.getStrmEntry(env, key));
+        const keys = (await listAllKeys(kv(env))).map(k => k.name).filter(name => !RESERVED_PREFIXES.some(prefix => name.startsWith(prefix)));
+        const promises = keys.map(async key => {
+            const entry = await this.getStrmEntry(env, key);
+            return entry ? { linkId: key, ...entry } : null;
+        });
         return Promise.all(promises);
+    },
+
+    // Add-magnet jobs
+    async getJob(env, jobId) {
+        return kv(env).get(`${JOB_PREFIX}${jobId}`, 'json');
+    },
+    async saveJob(env, job) {
+        job.updatedAt = new Date().toISOString();
+        return kv(env).put(`${JOB_PREFIX}${job.id}`, JSON.stringify(job), {
+            expirationTtl: JOB_TTL_SECONDS,
+        });
+    },
+
+    // Display-name overrides, keyed by .strm entry ID
+    async getDisplayNames(env) {
+        const store = kv(env);
+        const keys = await listAllKeys(store, NAME_PREFIX);
+        const entries = await Promise.all(keys.map(async k =>
+            [k.name.slice(NAME_PREFIX.length), await store.get(k.name, 'json')]));
+        return Object.fromEntries(entries.filter(([, override]) => override));
+    },
+    async setDisplayName(env, strmId, override) {
+        const entry = { ...override, updatedAt: new Date().toISOString() };
+        return kv(env).put(`${NAME_PREFIX}${strmId}`, JSON.stringify(entry), {
+            expirationTtl: NAME_TTL_SECONDS,
+        });
+    },
+
+    // WebDAV locks, keyed by resource path
+    async getLocks(env, lockPath) {
+        // KV TTLs are at least 60s, so shorter locks are expired here
+        return activeLocks(await kv(env).get(`${LOCK_PREFIX}${lockPath}`, 'json'));
+    },
+    async getLocksBelow(env, lockPath) {
+        const store = kv(env);
+        const prefix = `${LOCK_PREFIX}${lockPath === '/' ? '' : lockPath}/`;
+        const keys = (await listAllKeys(store, prefix)).filter(({ name }) => name !== `${LOCK_PREFIX}${lockPath}`);
+        const stored = await Promise.all(keys.map(({ name }) => store.get(name, 'json')));
+        return stored.flatMap(activeLocks);
+    },
+    async saveLocks(env, lockPath, locks) {
+        if (!locks.length) {
+            return kv(env).delete(`${LOCK_PREFIX}${lockPath}`);
+        }
+        const expiresAt = Math.max(...locks.map(lock => new Date(lock.expiresAt).getTime()));
+        return kv(env).put(`${LOCK_PREFIX}${lockPath}`, JSON.stringify(locks), {
+            expirationTtl: Math.max(60, Math.ceil((expiresAt - Date.now()) / 1000)),
+        });
+    },
+
+    // Upstream listing snapshots, keyed by collection (never expire)
+    async getSnapshot(env, collection) {
+        return kv(env).get(`${SNAPSHOT_PREFIX}${collection}`, 'json');
+    },
+    async saveSnapshot(env, collection, snapshot) {
+        return kv(env).put(`${SNAPSHOT_PREFIX}${collection}`, JSON.stringify(snapshot));
+    },
+
+    // Real-Debrid OAuth credentials and pending device authorization
+    async getRdCredentials(env) {
+        return kv(env).get(RD_CREDENTIALS_KEY, 'json');
+    },
+    async saveRdCredentials(env, credentials) {
+        return kv(env).put(RD_CREDENTIALS_KEY, JSON.stringify({ ...credentials, updatedAt: new Date().toISOString() }));
+    },
+
+    // Health check: write a short-lived key and read it back
+    async probe(env, value) {
+        await kv(env).put(HEALTH_PROBE_KEY, value, { expirationTtl: HEALTH_PROBE_TTL_SECONDS });
+        return kv(env).get(HEALTH_PROBE_KEY);
     }
 };
 
 // --- Node.js (Filesystem) Implementation ---
+// Files are replaced atomically (written to a temp file, then renamed over the old one), and the
+// version being replaced is kept as {file}.bak, which is loaded when the file is damaged.
+// Mutations of a file are serialized, so concurrent requests cannot lose each other's changes.
+// Refreshed unrestricted URLs are appended to strm-cache.journal instead of rewriting
+// strm-cache.json; the journal is replayed on load and folded in on the next full write.
 
-// In-memory cache for Node.js to reduce disk I/O
-let nodeStrmCache = null;
+// Parsed files, keyed by path: one shared object per file, cached to reduce disk I/O
+const nodeFiles = new Map();
+// Pending mutations, keyed by file path
+const nodeFileQueues = new Map();
+// Lines in each journal since strm-cache.json was last written, keyed by journal path
+const nodeJournalLengths = new Map();
+// Locks only need to outlive a client's edit session, so they are not persisted.
+// Data directory -> (lock path -> locks)
+const nodeLocks = new Map();
 
-const nodeStorage = {
-    async _loadNodeStrmCache() {
-        if (nodeStrmCache) return nodeStrmCache;
+// Rewrite strm-cache.json (and empty the journal) once the journal reaches this many lines
+const JOURNAL_COMPACT_LINES = 500;
+
+/**
+ * Run a mutation of a file after the mutations queued before it
+ *
+ * @param {string} file - File path
+ * @param {Function} mutate - Async function loading, changing and saving the file
+ * @returns {Promise<*>} Result of mutate
+ */
+function withNodeFileLock(file, mutate) {
+    const previous = nodeFileQueues.get(file) || Promise.resolve();
+    const result = previous.then(mutate);
+    const queued = result.catch(() => {});
+    nodeFileQueues.set(file, queued);
+    queued.then(() => {
+        if (nodeFileQueues.get(file) === queued) nodeFileQueues.delete(file);
+    });
+    return result;
+}
+
+/**
+ * Read a JSON file, falling back to its backup when it is damaged
+ * The damaged file is moved aside, so the next write does not replace the backup with it.
+ *
+ * @param {string} file - File path
+ * @returns {Promise<Object|null>} Parsed data, or null if there is no (usable) file
+ */
+async function readNodeJsonFile(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        logger.error(`Error reading ${file}`, error);
+    }
+
+    const damaged = `${file}.corrupt-${Date.now()}`;
+    await fs.rename(file, damaged).catch(() => {});
+    try {
+        const data = JSON.parse(await fs.readFile(`${file}.bak`, 'utf8'));
+        logger.warn(`Recovered ${path.basename(file)} from its backup; the damaged file was moved to ${damaged}`);
+        return data;
+    } catch (error) {
+        logger.error(`No usable backup of ${path.basename(file)}, starting empty`, error);
+        return null;
+    }
+}
+
+/**
+ * Replace a JSON file atomically, keeping the previous version as {file}.bak
+ *
+ * @param {string} file - File path
+ * @param {Object} data - Data to write
+ * @param {number} [mode=0o644] - File mode
+ */
+async function writeNodeJsonFile(file, data, mode = 0o644) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    const handle = await fs.open(temp, 'w', mode);
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.copyFile(file, `${file}.bak`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    await fs.rename(temp, file);
+}
+
+/**
+ * Load a JSON file once; later calls share the parsed object
+ *
+ * @param {string} file - File path
+ * @param {Function} [empty] - Returns the data to use when the file does not exist
+ * @returns {Promise<Object|null>} Parsed data
+ */
+function loadNodeFile(file, empty = () => ({})) {
+    if (!nodeFiles.has(file)) {
+        const loading = readNodeJsonFile(file).then(data => data ?? empty());
+        loading.catch(() => nodeFiles.delete(file));
+        nodeFiles.set(file, loading);
+    }
+    return nodeFiles.get(file);
+}
+
+/**
+ * Save a JSON file and make it the shared parsed object
+ *
+ * @param {string} file - File path
+ * @param {Object} data - Data to write
+ * @param {number} [mode] - File mode
+ */
+async function saveNodeFile(file, data, mode) {
+    nodeFiles.set(file, Promise.resolve(data));
+    return writeNodeJsonFile(file, data, mode);
+}
+
+/**
+ * Apply the refreshed URLs in a strm-cache journal to the loaded cache
+ * Lines older than the cache entry (already folded into strm-cache.json) are skipped; a line
+ * from the same millisecond as the entry is a refresh right after it was added, so it applies.
+ *
+ * @param {string} journal - Journal path
+ * @param {Object} cache - Parsed strm-cache.json
+ */
+async function replayStrmJournal(journal, cache) {
+    let lines = [];
+    try {
+        lines = (await fs.readFile(journal, 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of lines) {
+        let update;
         try {
-            const data = await fs.readFile(path.join(config.dataDir, 'strm-cache.json'), 'utf8');
-            nodeStrmCache = JSON.parse(data);
-            return nodeStrmCache;
+            update = JSON.parse(line);
         } catch (error) {
-            if (error.code === 'ENOENT') return {};
-            throw error;
+            // A crash mid-append leaves an incomplete last line
+            continue;
+        }
+        const entry = cache[update.linkId];
+        if (entry && update.generatedAt >= entry.generatedAt) {
+            entry.unrestrictedUrl = update.unrestrictedUrl;
+            entry.generatedAt = update.generatedAt;
+        }
+    }
+    nodeJournalLengths.set(journal, lines.length);
+}
+
+const nodeStorage = {
+    // Registered users' files (multi-user mode) live in {DATA_DIR}/users/{username}/
+    _dataDir(env) {
+        const namespace = env?.STORAGE_NAMESPACE;
+        return namespace ? path.join(config.dataDir, 'users', namespace) : config.dataDir;
+    },
+    _file(env, name) {
+        return path.join(this._dataDir(env), name);
+    },
+
+    async _loadNodeStrmCache(env) {
+        const file = this._file(env, 'strm-cache.json');
+        if (!nodeFiles.has(file)) {
+            const loading = (async () => {
+                const cache = (await readNodeJsonFile(file)) || {};
+                await replayStrmJournal(this._file(env, 'strm-cache.journal'), cache);
+                return cache;
+            })();
+            loading.catch(() => nodeFiles.delete(file));
+            nodeFiles.set(file, loading);
         }
+        return nodeFiles.get(file);
     },
 
     // STRM Cache
-    async _cleanupAndSaveStrmCache(cache) {
-        const now = Date.now();
-        const sevenDaysMs = 7 * 24 * 60 * 60 * 1000;
+    async _cleanupAndSaveStrmCache(env, cache) {
         const cleaned = {};
         for (const [linkId, entry] of Object.entries(cache)) {
-            if (now - new Date(entry.generatedAt).getTime() < sevenDaysMs) {
+            if (!isStrmEntryExpired(entry)) {
                 cleaned[linkId] = entry;
             }
         }
-        nodeStrmCache = cleaned;
-        await fs.mkdir(config.dataDir, { recursive: true });
-        return fs.writeFile(path.join(config.dataDir, 'strm-cache.json'), JSON.stringify(cleaned, null, 2));
+        await saveNodeFile(this._file(env, 'strm-cache.json'), cleaned);
+
+        // The journal is folded into the file just written
+        const journal = this._file(env, 'strm-cache.journal');
+        await fs.rm(journal, { force: true });
+        nodeJournalLengths.set(journal, 0);
     },
 
-    async getStrmEntry(env, linkId) { // env is not used in node
-        const cache = await this._loadNodeStrmCache();
+    async getStrmEntry(env, linkId) {
+        const cache = await this._loadNodeStrmCache(env);
         return cache[linkId] || null;
     },
-    async addStrmEntry(env, linkId, originalLink, unrestrictedUrl, filename, manuallyAdded = false, filesize = 0) {
-        const cache = await this._loadNodeStrmCache();
+    async addStrmEntry(env, linkId, originalLink, unrestrictedUrl, filename, manuallyAdded = false, filesize = 0, folder = null, hash = null, imdbId = null) {
+        return withNodeFileLock(this._file(env, 'strm-cache.json'), async () => {
+            const cache = await this._loadNodeStrmCache(env);
 
-        // If the new entry is not manually added, but an existing manually added entry exists, don't overwrite it.
-        if (!manuallyAdded && cache[linkId] && cache[linkId].manuallyAdded) {
-            // Just update its generation date to keep it fresh
-            cache[linkId].generatedAt = new Date().toISOString();
-            return this._cleanupAndSaveStrmCache(cache);
-        }
+            // If the new entry is not manually added, but an existing manually added entry exists, don't overwrite it.
+            if (!manuallyAdded && cache[linkId] && cache[linkId].manuallyAdded) {
+                // Just update its generation date to keep it fresh
+                cache[linkId].generatedAt = new Date().toISOString();
+                return this._cleanupAndSaveStrmCache(env, cache);
+            }
 
-        cache[linkId] = {
-            originalLink,
-            unrestrictedUrl,
-            generatedAt: new Date().toISOString(),
-            filename,
-            manuallyAdded,
-            filesize,
-        };
-        return this._cleanupAndSaveStrmCache(cache);
+            cache[linkId] = {
+                originalLink,
+                unrestrictedUrl,
+                generatedAt: new Date().toISOString(),
+                filename,
+                manuallyAdded,
+                filesize,
+                folder,
+                hash,
+                imdbId,
+            };
+            return this._cleanupAndSaveStrmCache(env, cache);
+        });
     },
     async updateStrmUrl(env, linkId, newUnrestrictedUrl) {
-        const cache = await this._loadNodeStrmCache();
-        if (cache[linkId]) {
+        return withNodeFileLock(this._file(env, 'strm-cache.json'), async () => {
+            const cache = await this._loadNodeStrmCache(env);
+            if (!cache[linkId]) return;
+
             cache[linkId].unrestrictedUrl = newUnrestrictedUrl;
             cache[linkId].generatedAt = new Date().toISOString();
-            return this._cleanupAndSaveStrmCache(cache);
+
+            const journal = this._file(env, 'strm-cache.journal');
+            const length = (nodeJournalLengths.get(journal) || 0) + 1;
+            if (length >= JOURNAL_COMPACT_LINES) {
+                return this._cleanupAndSaveStrmCache(env, cache);
+            }
+            await fs.mkdir(this._dataDir(env), { recursive: true });
+            await fs.appendFile(journal, JSON.stringify({
+                linkId,
+                unrestrictedUrl: newUnrestrictedUrl,
+                generatedAt: cache[linkId].generatedAt,
+            }) + '\n');
+            nodeJournalLengths.set(journal, length);
+        });
+    },
+    async deleteStrmEntry(env, linkId) {
+        return withNodeFileLock(this._file(env, 'strm-cache.json'), async () => {
+            const cache = await this._loadNodeStrmCache(env);
+            if (cache[linkId]) {
+                delete cache[linkId];
+                return this._cleanupAndSaveStrmCache(env, cache);
+            }
+        });
+    },
+    async getAllStrmEntries(env) {
+        const cache = await this._loadNodeStrmCache(env);
+        return Object.entries(cache).map(([linkId, entry]) => ({ linkId, ...entry }));
+    },
+
+    // Add-magnet jobs
+    async _loadNodeJobs(env) {
+        return loadNodeFile(this._file(env, 'jobs.json'));
+    },
+    async getJob(env, jobId) {
+        const jobs = await this._loadNodeJobs(env);
+        return jobs[jobId] || null;
+    },
+    async saveJob(env, job) {
+        const file = this._file(env, 'jobs.json');
+        return withNodeFileLock(file, async () => {
+            const jobs = await this._loadNodeJobs(env);
+            job.updatedAt = new Date().toISOString();
+            jobs[job.id] = job;
+
+            // Drop jobs that have not been touched within the TTL
+            const now = Date.now();
+            const cleaned = {};
+            for (const [jobId, entry] of Object.entries(jobs)) {
+                if (now - new Date(entry.updatedAt).getTime() < JOB_TTL_SECONDS * 1000) {
+                    cleaned[jobId] = entry;
+                }
+            }
+            return saveNodeFile(file, cleaned);
+        });
+    },
+
+    // Display-name overrides, keyed by .strm entry ID
+    async getDisplayNames(env) {
+        return loadNodeFile(this._file(env, 'display-names.json'));
+    },
+    async setDisplayName(env, strmId, override) {
+        const file = this._file(env, 'display-names.json');
+        return withNodeFileLock(file, async () => {
+            const names = await this.getDisplayNames(env);
+            names[strmId] = { ...override, updatedAt: new Date().toISOString() };
+
+            // Drop overrides that have not been touched within the TTL
+            const now = Date.now();
+            const cleaned = {};
+            for (const [id, entry] of Object.entries(names)) {
+                if (now - new Date(entry.updatedAt).getTime() < NAME_TTL_SECONDS * 1000) {
+                    cleaned[id] = entry;
+                }
+            }
+            return saveNodeFile(file, cleaned);
+        });
+    },
+
+    // WebDAV locks, keyed by resource path
+    _nodeLocks(env) {
+        const dataDir = this._dataDir(env);
+        if (!nodeLocks.has(dataDir)) nodeLocks.set(dataDir, new Map());
+        return nodeLocks.get(dataDir);
+    },
+    async getLocks(env, lockPath) {
+        return activeLocks(this._nodeLocks(env).get(lockPath));
+    },
+    async getLocksBelow(env, lockPath) {
+        const prefix = lockPath === '/' ? '/' : `${lockPath}/`;
+        return [...this._nodeLocks(env)]
+            .filter(([key]) => key !== lockPath && key.startsWith(prefix))
+            .flatMap(([, locks]) => activeLocks(locks));
+    },
+    async saveLocks(env, lockPath, locks) {
+        if (locks.length) {
+            this._nodeLocks(env).set(lockPath, locks);
+        } else {
+            this._nodeLocks(env).delete(lockPath);
         }
     },
-    async getAllStrmEntries() {
-        const cache = await this._loadNodeStrmCache();
-        return Object.values(cache);
+
+    // Upstream listing snapshots, keyed by collection (never expire)
+    async _loadNodeSnapshots(env) {
+        return loadNodeFile(this._file(env, 'snapshots.json'));
+    },
+    async getSnapshot(env, collection) {
+        const snapshots = await this._loadNodeSnapshots(env);
+        return snapshots[collection] || null;
+    },
+    async saveSnapshot(env, collection, snapshot) {
+        const file = this._file(env, 'snapshots.json');
+        return withNodeFileLock(file, async () => {
+            const snapshots = await this._loadNodeSnapshots(env);
+            snapshots[collection] = snapshot;
+            return saveNodeFile(file, snapshots);
+        });
+    },
+
+    // Real-Debrid OAuth credentials and pending device authorization
+    async getRdCredentials(env) {
+        return loadNodeFile(this._file(env, 'rd-credentials.json'), () => null);
+    },
+    async saveRdCredentials(env, credentials) {
+        const file = this._file(env, 'rd-credentials.json');
+        const entry = { ...credentials, updatedAt: new Date().toISOString() };
+        return withNodeFileLock(file, () => saveNodeFile(file, entry, 0o600));
+    },
+
+    // Health check: write a file the way data files are written, read it back and remove it
+    async probe(env, value) {
+        const file = this._file(env, 'health-probe.json');
+        return withNodeFileLock(file, async () => {
+            try {
+                await writeNodeJsonFile(file, { value });
+                return JSON.parse(await fs.readFile(file, 'utf8')).value;
+            } finally {
+                await fs.rm(file, { force: true });
+                await fs.rm(`${file}.bak`, { force: true });
+            }
+        });
     }
 };
 
-// Export the correct implementation
-export default isWorker ? workerStorage : nodeStorage;
+// --- SQL (SQLite on Node.js, Cloudflare D1 on Workers) Implementation ---
+
+// Every row carries its user's storage namespace ('' for the environment user).
+// strm_entries holds the .strm entries; records holds the other data as JSON documents
+// by kind: job, name (display-name override), lock, snapshot, oauth and health (the /health?deep=1 probe).
+const SQL_SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS strm_entries (
+        namespace TEXT NOT NULL DEFAULT '',
+        id TEXT NOT NULL,
+        original_link TEXT,
+        unrestricted_url TEXT,
+        filename TEXT,
+        manually_added INTEGER NOT NULL DEFAULT 0,
+        filesize INTEGER NOT NULL DEFAULT 0,
+        folder TEXT,
+        hash TEXT,
+        imdb_id TEXT,
+        created_at TEXT NOT NULL,
+        generated_at TEXT NOT NULL,
+        PRIMARY KEY (namespace, id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS strm_entries_hash ON strm_entries (namespace, hash)',
+    'CREATE INDEX IF NOT EXISTS strm_entries_imdb_id ON strm_entries (namespace, imdb_id)',
+    'CREATE INDEX IF NOT EXISTS strm_entries_created_at ON strm_entries (namespace, created_at)',
+    'CREATE INDEX IF NOT EXISTS strm_entries_generated_at ON strm_entries (generated_at)',
+    `CREATE TABLE IF NOT EXISTS records (
+        namespace TEXT NOT NULL DEFAULT '',
+        kind TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        expires_at INTEGER,
+        PRIMARY KEY (namespace, kind, key)
+    )`,
+    'CREATE INDEX IF NOT EXISTS records_expires_at ON records (expires_at)',
+];
+
+const STRM_ENTRY_COLUMNS = 'namespace, id, original_link, unrestricted_url, filename, manually_added, filesize, folder, hash, imdb_id, created_at, generated_at';
+
+/**
+ * Wrap a D1 binding in the async interface used by sqlStorage
+ *
+ * @param {Object} binding - D1 database binding
+ * @returns {Object} Database with all, run (resolving to the number of changed rows) and runAll
+ */
+function d1Database(binding) {
+    return {
+        all: async (sql, params = []) => (await binding.prepare(sql).bind(...params).all()).results,
+        run: async (sql, params = []) => (await binding.prepare(sql).bind(...params).run()).meta.changes,
+        runAll: async (statements) => {
+            await binding.batch(statements.map(sql => binding.prepare(sql)));
+        },
+    };
+}
+
+/**
+ * Open the SQLite database file (SQLITE_FILE) with node:sqlite, or better-sqlite3 on
+ * Node.js versions without it
+ *
+ * @returns {Promise<Object>} Database with all, run (resolving to the number of changed rows) and runAll
+ */
+async function openSqliteDatabase() {
+    // Module names in variables keep the Workers bundler from resolving the Node.js-only drivers
+    const builtin = 'node:sqlite';
+    const fallback = 'better-sqlite3';
+    let Database;
+    try {
+        ({ DatabaseSync: Database } = await import(builtin));
+    } catch (error) {
+        ({ default: Database } = await import(fallback));
+    }
+    await fs.mkdir(path.dirname(config.sqliteFile), { recursive: true });
+    const db = new Database(config.sqliteFile);
+    db.exec('PRAGMA journal_mode = WAL');
+
+    return {
+        all: async (sql, params = []) => db.prepare(sql).all(...params),
+        run: async (sql, params = []) => Number(db.prepare(sql).run(...params).changes),
+        runAll: async (statements) => {
+            for (const sql of statements) db.exec(sql);
+        },
+    };
+}
+
+// Opened databases with the schema applied, keyed by D1 binding (Workers) or config (Node.js)
+const sqlDatabases = new WeakMap();
+
+/**
+ * Get the SQL database for a request, creating the tables on first use
+ *
+ * @param {Object} env - Environment with the CAST_DB binding (Workers)
+ * @returns {Promise<Object>} Database with all, run and runAll
+ */
+function sqlDatabase(env) {
+    const key = isWorker ? env.CAST_DB : config;
+    if (!sqlDatabases.has(key)) {
+        const ready = (async () => {
+            const db = isWorker ? d1Database(env.CAST_DB) : await openSqliteDatabase();
+            await db.runAll(SQL_SCHEMA);
+            return db;
+        })();
+        // Try again on the next request if the database could not be opened
+        ready.catch(() => sqlDatabases.delete(key));
+        sqlDatabases.set(key, ready);
+    }
+    return sqlDatabases.get(key);
+}
+
+function sqlNamespace(env) {
+    return env?.STORAGE_NAMESPACE || '';
+}
+
+function toStrmEntry(row) {
+    return {
+        originalLink: row.original_link,
+        unrestrictedUrl: row.unrestricted_url,
+        generatedAt: row.generated_at,
+        createdAt: row.created_at,
+        filename: row.filename,
+        manuallyAdded: Boolean(row.manually_added),
+        filesize: row.filesize,
+        folder: row.folder,
+        hash: row.hash,
+        imdbId: row.imdb_id,
+    };
+}
+
+function strmCutoff() {
+    return new Date(Date.now() - STRM_TTL_SECONDS * 1000).toISOString();
+}
+
+// Reads skip expired rows, so deleting them only reclaims space: at most once per interval
+// per process or isolate, rather than scanning every namespace on each write
+const SQL_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+let lastSqlSweep = 0;
+
+/**
+ * Delete expired .strm entries and records of all namespaces, if the last sweep was long enough ago
+ *
+ * @param {Object} db - Database from sqlDatabase()
+ */
+async function sweepExpiredRows(db) {
+    if (Date.now() - lastSqlSweep < SQL_SWEEP_INTERVAL_MS) return;
+    lastSqlSweep = Date.now();
+    await db.run('DELETE FROM strm_entries WHERE manually_added = 0 AND generated_at < ?', [strmCutoff()]);
+    await db.run('DELETE FROM records WHERE expires_at <= ?', [Date.now()]);
+}
+
+const sqlStorage = {
+    // STRM Cache
+    async getStrmEntry(env, linkId) {
+        const db = await sqlDatabase(env);
+        const [row] = await db.all('SELECT * FROM strm_entries WHERE namespace = ? AND id = ? AND (manually_added = 1 OR generated_at >= ?)',
+            [sqlNamespace(env), linkId, strmCutoff()]);
+        return row ? toStrmEntry(row) : null;
+    },
+    async addStrmEntry(env, linkId, originalLink, unrestrictedUrl, filename, manuallyAdded = false, filesize = 0, folder = null, hash = null, imdbId = null) {
+        const db = await sqlDatabase(env);
+        const now = new Date().toISOString();
+        await sweepExpiredRows(db);
+
+        // If the new entry is not manually added, but an existing manually added entry exists, don't overwrite it.
+        if (!manuallyAdded) {
+            const existingEntry = await this.getStrmEntry(env, linkId);
+            if (existingEntry && existingEntry.manuallyAdded) {
+                // Just update its generation date to keep it fresh
+                return db.run('UPDATE strm_entries SET generated_at = ? WHERE namespace = ? AND id = ?', [now, sqlNamespace(env), linkId]);
+            }
+        }
+
+        return db.run(`INSERT INTO strm_entries (${STRM_ENTRY_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (namespace, id) DO UPDATE SET
+                original_link = excluded.original_link, unrestricted_url = excluded.unrestricted_url,
+                filename = excluded.filename, manually_added = excluded.manually_added, filesize = excluded.filesize,
+                folder = excluded.folder, hash = excluded.hash, imdb_id = excluded.imdb_id, generated_at = excluded.generated_at`,
+        [sqlNamespace(env), linkId, originalLink, unrestrictedUrl, filename, manuallyAdded ? 1 : 0, filesize || 0, folder, hash, imdbId, now, now]);
+    },
+    async updateStrmUrl(env, linkId, newUnrestrictedUrl) {
+        const db = await sqlDatabase(env);
+        return db.run('UPDATE strm_entries SET unrestricted_url = ?, generated_at = ? WHERE namespace = ? AND id = ?',
+            [newUnrestrictedUrl, new Date().toISOString(), sqlNamespace(env), linkId]);
+    },
+    async deleteStrmEntry(env, linkId) {
+        const db = await sqlDatabase(env);
+        return db.run('DELETE FROM strm_entries WHERE namespace = ? AND id = ?', [sqlNamespace(env), linkId]);
+    },
+    async getAllStrmEntries(env) {
+        const db = await sqlDatabase(env);
+        const rows = await db.all('SELECT * FROM strm_entries WHERE namespace = ? AND (manually_added = 1 OR generated_at >= ?) ORDER BY created_at DESC',
+            [sqlNamespace(env), strmCutoff()]);
+        return rows.map(row => ({ linkId: row.id, ...toStrmEntry(row) }));
+    },
+
+    // Records: JSON documents by kind and key, optionally expiring
+    async _getRecord(env, kind, key) {
+        const db = await sqlDatabase(env);
+        const [row] = await db.all('SELECT value FROM records WHERE namespace = ? AND kind = ? AND key = ? AND (expires_at IS NULL OR expires_at > ?)',
+            [sqlNamespace(env), kind, key, Date.now()]);
+        return row ? JSON.parse(row.value) : null;
+    },
+    async _getRecords(env, kind) {
+        const db = await sqlDatabase(env);
+        const rows = await db.all('SELECT key, value FROM records WHERE namespace = ? AND kind = ? AND (expires_at IS NULL OR expires_at > ?)',
+            [sqlNamespace(env), kind, Date.now()]);
+        return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.value)]));
+    },
+    async _putRecord(env, kind, key, value, expiresAt = null) {
+        const db = await sqlDatabase(env);
+        await sweepExpiredRows(db);
+        return db.run(`INSERT INTO records (namespace, kind, key, value, expires_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (namespace, kind, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`,
+        [sqlNamespace(env), kind, key, JSON.stringify(value), expiresAt]);
+    },
+    async _deleteRecord(env, kind, key) {
+        const db = await sqlDatabase(env);
+        return db.run('DELETE FROM records WHERE namespace = ? AND kind = ? AND key = ?', [sqlNamespace(env), kind, key]);
+    },
+
+    // Add-magnet jobs
+    async getJob(env, jobId) {
+        return this._getRecord(env, 'job', jobId);
+    },
+    async saveJob(env, job) {
+        job.updatedAt = new Date().toISOString();
+        return this._putRecord(env, 'job', job.id, job, Date.now() + JOB_TTL_SECONDS * 1000);
+    },
+
+    // Display-name overrides, keyed by .strm entry ID
+    async getDisplayNames(env) {
+        return this._getRecords(env, 'name');
+    },
+    async setDisplayName(env, strmId, override) {
+        const entry = { ...override, updatedAt: new Date().toISOString() };
+        return this._putRecord(env, 'name', strmId, entry, Date.now() + NAME_TTL_SECONDS * 1000);
+    },
+
+    // WebDAV locks, keyed by resource path
+    async getLocks(env, lockPath) {
+        return activeLocks(await this._getRecord(env, 'lock', lockPath));
+    },
+    async getLocksBelow(env, lockPath) {
+        const prefix = lockPath === '/' ? '/' : `${lockPath}/`;
+        return Object.entries(await this._getRecords(env, 'lock'))
+            .filter(([key]) => key !== lockPath && key.startsWith(prefix))
+            .flatMap(([, locks]) => activeLocks(locks));
+    },
+    async saveLocks(env, lockPath, locks) {
+        if (!locks.length) {
+            return this._deleteRecord(env, 'lock', lockPath);
+        }
+        const expiresAt = Math.max(...locks.map(lock => new Date(lock.expiresAt).getTime()));
+        return this._putRecord(env, 'lock', lockPath, locks, expiresAt);
+    },
+
+    // Upstream listing snapshots, keyed by collection (never expire)
+    async getSnapshot(env, collection) {
+        return this._getRecord(env, 'snapshot', collection);
+    },
+    async saveSnapshot(env, collection, snapshot) {
+        return this._putRecord(env, 'snapshot', collection, snapshot);
+    },
+
+    // Real-Debrid OAuth credentials and pending device authorization
+    async getRdCredentials(env) {
+        return this._getRecord(env, 'oauth', 'rd');
+    },
+    async saveRdCredentials(env, credentials) {
+        return this._putRecord(env, 'oauth', 'rd', { ...credentials, updatedAt: new Date().toISOString() });
+    },
+
+    // Health check: write a short-lived record and read it back
+    async probe(env, value) {
+        await this._putRecord(env, 'health', 'probe', { value }, Date.now() + HEALTH_PROBE_TTL_SECONDS * 1000);
+        return (await this._getRecord(env, 'health', 'probe'))?.value;
+    },
+
+    // Import: keep rows that already exist in the database; resolve to true if the row was added
+    async _importStrmEntry(env, linkId, entry) {
+        const db = await sqlDatabase(env);
+        const createdAt = entry.createdAt || entry.generatedAt;
+        const changes = await db.run(`INSERT INTO strm_entries (${STRM_ENTRY_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (namespace, id) DO NOTHING`,
+        [sqlNamespace(env), linkId, entry.originalLink || null, entry.unrestrictedUrl || null, entry.filename || null,
+            entry.manuallyAdded ? 1 : 0, entry.filesize || 0, entry.folder || null, entry.hash || null, entry.imdbId || null,
+            createdAt, entry.generatedAt]);
+        return changes > 0;
+    },
+    async _importRecord(env, kind, key, value, expiresAt = null) {
+        const db = await sqlDatabase(env);
+        const changes = await db.run(`INSERT INTO records (namespace, kind, key, value, expires_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (namespace, kind, key) DO NOTHING`,
+        [sqlNamespace(env), kind, key, JSON.stringify(value), expiresAt]);
+        return changes > 0;
+    },
+};
+
+// --- Backend selection and migration ---
+
+/**
+ * Get the storage backend for a request
+ *
+ * @param {Object} env - Environment
+ * @returns {Object} workerStorage (KV), nodeStorage (JSON files) or sqlStorage (D1 or SQLite)
+ */
+function getBackend(env) {
+    if (isWorker) {
+        return env.CAST_DB ? sqlStorage : workerStorage;
+    }
+    return config.storageBackend === 'sqlite' ? sqlStorage : nodeStorage;
+}
+
+/**
+ * Name of the storage backend for a request, for /health and /setup/storage
+ *
+ * @param {Object} env - Environment
+ * @returns {string} 'kv', 'json', 'd1' or 'sqlite'
+ */
+export function getBackendName(env) {
+    if (isWorker) {
+        return env.CAST_DB ? 'd1' : 'kv';
+    }
+    return config.storageBackend === 'sqlite' ? 'sqlite' : 'json';
+}
+
+/**
+ * Name of the storage binding a Worker is missing, for the configuration check at the first request
+ * Add-magnet jobs, /play links, locks and OAuth credentials all need storage.
+ *
+ * @param {Object} env - Environment
+ * @returns {string|null} 'CAST_MAGNET_LINK' when neither KV nor D1 is bound, otherwise null
+ */
+export function getMissingStorageBinding(env) {
+    return isWorker && !env.CAST_MAGNET_LINK && !env.CAST_DB ? 'CAST_MAGNET_LINK' : null;
+}
+
+// DMM Cast entry IDs carry the infohash and IMDb ID: dmm-{hash}-{imdbId}
+function parseDMMCastId(linkId) {
+    const match = /^dmm-([a-f0-9]{40})-(tt\d+)$/i.exec(linkId);
+    return match ? { hash: match[1].toLowerCase(), imdbId: match[2] } : {};
+}
+
+/**
+ * Read every user's data from the Workers KV namespace
+ *
+ * @param {Object} env - Environment with the CAST_MAGNET_LINK binding
+ * @returns {Promise<Map>} Storage namespace -> { entries, records }
+ */
+async function readKvData(env) {
+    const binding = env.CAST_MAGNET_LINK;
+    const data = new Map();
+    for (const { name, expiration } of await listAllKeys(binding)) {
+        let namespace = '';
+        let key = name;
+        if (name.startsWith(USER_PREFIX)) {
+            const slash = name.indexOf('/', USER_PREFIX.length);
+            namespace = name.slice(USER_PREFIX.length, slash);
+            key = name.slice(slash + 1);
+        }
+        // The user registry stays in KV; locks and the health probe are not worth keeping
+        if (name.startsWith(REGISTRY_PREFIX) || key.startsWith(LOCK_PREFIX) || key === HEALTH_PROBE_KEY) continue;
+
+        const value = await binding.get(name, 'json');
+        if (!value) continue;
+        if (!data.has(namespace)) data.set(namespace, { entries: {}, records: [] });
+        const { entries, records } = data.get(namespace);
+        const expiresAt = expiration ? expiration * 1000 : null;
+
+        if (key.startsWith(JOB_PREFIX)) {
+            records.push(['job', key.slice(JOB_PREFIX.length), value, expiresAt]);
+        } else if (key.startsWith(NAME_PREFIX)) {
+            records.push(['name', key.slice(NAME_PREFIX.length), value, expiresAt]);
+        } else if (key.startsWith(SNAPSHOT_PREFIX)) {
+            records.push(['snapshot', key.slice(SNAPSHOT_PREFIX.length), value, null]);
+        } else if (key === RD_CREDENTIALS_KEY) {
+            records.push(['oauth', 'rd', value, null]);
+        } else {
+            entries[key] = value;
+        }
+    }
+    return data;
+}
+
+/**
+ * Read every user's data from the JSON files in DATA_DIR (and DATA_DIR/users/{username}/),
+ * including cast-state.json from earlier versions
+ *
+ * @returns {Promise<Map>} Storage namespace -> { entries, records }
+ */
+async function readJsonFileData() {
+    let namespaces = [''];
+    try {
+        const dirs = await fs.readdir(path.join(config.dataDir, 'users'), { withFileTypes: true });
+        namespaces = namespaces.concat(dirs.filter(d => d.isDirectory()).map(d => d.name));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const data = new Map();
+    for (const namespace of namespaces) {
+        const env = { STORAGE_NAMESPACE: namespace || null };
+        const entries = { ...await nodeStorage._loadNodeStrmCache(env) };
+        const jobs = await nodeStorage._loadNodeJobs(env);
+        const names = await nodeStorage.getDisplayNames(env);
+        const snapshots = await nodeStorage._loadNodeSnapshots(env);
+        const credentials = await nodeStorage.getRdCredentials(env);
+
+        const records = [
+            ...Object.entries(jobs).map(([id, job]) => ['job', id, job, new Date(job.updatedAt).getTime() + JOB_TTL_SECONDS * 1000]),
+            ...Object.entries(names).map(([id, name]) => ['name', id, name, new Date(name.updatedAt).getTime() + NAME_TTL_SECONDS * 1000]),
+            ...Object.entries(snapshots).map(([collection, snapshot]) => ['snapshot', collection, snapshot, null]),
+            ...(credentials ? [['oauth', 'rd', credentials, null]] : []),
+        ];
+
+        // The single cast of earlier versions: { hash, title, size, unrestrictedUrl, cachedAt }
+        try {
+            const cast = JSON.parse(await fs.readFile(path.join(nodeStorage._dataDir(env), 'cast-state.json'), 'utf8'));
+            const castId = `cast-${cast?.hash?.toLowerCase()}`;
+            if (cast?.hash && cast.unrestrictedUrl && !entries[castId]) {
+                entries[castId] = {
+                    originalLink: cast.unrestrictedUrl,
+                    unrestrictedUrl: cast.unrestrictedUrl,
+                    generatedAt: cast.cachedAt || new Date().toISOString(),
+                    filename: cast.title || cast.hash,
+                    manuallyAdded: true,
+                    filesize: cast.size || 0,
+                    hash: cast.hash.toLowerCase(),
+                };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        data.set(namespace, { entries, records });
+    }
+    return data;
+}
+
+/**
+ * Import the KV entries (Workers) or JSON files (Node.js) of every user into the SQL backend
+ * Rows that already exist are kept, so the migration can be run again safely.
+ *
+ * @param {Object} env - Environment (bindings on Workers)
+ * @returns {Promise<{namespaces: number, entries: number, records: number}>} Imported counts
+ * @throws {Error} When the SQL backend is not configured
+ */
+export async function migrateStorage(env) {
+    if (getBackend(env) !== sqlStorage) {
+        throw new Error(isWorker
+            ? 'Bind a D1 database as CAST_DB before migrating'
+            : 'Set STORAGE_BACKEND=sqlite before migrating');
+    }
+
+    const data = isWorker ? await readKvData(env) : await readJsonFileData();
+    const counts = { namespaces: 0, entries: 0, records: 0 };
+    for (const [namespace, { entries, records }] of data) {
+        const target = { CAST_DB: env.CAST_DB, STORAGE_NAMESPACE: namespace || null };
+        for (const [linkId, entry] of Object.entries(entries)) {
+            if (!entry?.generatedAt) continue;
+            const ids = parseDMMCastId(linkId);
+            if (await sqlStorage._importStrmEntry(target, linkId, { ...entry, hash: entry.hash || ids.hash, imdbId: entry.imdbId || ids.imdbId })) {
+                counts.entries++;
+            }
+        }
+        for (const [kind, key, value, expiresAt] of records) {
+            if (await sqlStorage._importRecord(target, kind, key, value, expiresAt)) {
+                counts.records++;
+            }
+        }
+        counts.namespaces++;
+    }
+    logger.info(`Storage migration: imported ${counts.entries} .strm entries and ${counts.records} records for ${counts.namespaces} users`);
+    return counts;
+}
+
+// Every backend implements the methods of workerStorage; the backend is picked per call
+const storage = Object.fromEntries(Object.keys(workerStorage).map(method =>
+    [method, (env, ...args) => {
+        const backend = getBackend(env);
+        return backend[method](env, ...args);
+    }]));
+
+export default storage;
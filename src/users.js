@@ -0,0 +1,123 @@
+/**
+ * User Registry
+ *
+ * Multi-user mode (MULTI_USER=true) lets one deployment serve several Real-Debrid accounts.
+ * Each registered user has their own WebDAV credentials, RD token and DMM identity, and
+ * their own storage namespace, so casts, manual entries and caches never mix.
+ *
+ * - Node.js: JSON file (USERS_FILE, default {DATA_DIR}/users.json), keyed by username
+ * - Cloudflare Workers: KV entries "registry:{username}" in the CAST_MAGNET_LINK namespace
+ *
+ * A user record is { "password": "...", "rdAccessToken": "...", "dmmToken": "..." };
+ * rdAccessToken is optional when the user sets up OAuth at /setup/rd, and dmmToken
+ * defaults to the RD token (DMM identifies users by their RD token).
+ */
+
+import { promises as fs } from 'fs';
+import * as logger from './logger.js';
+
+const isWorker = typeof caches !== 'undefined';
+
+// Conditionally import config only in Node.js environment (for the users file path)
+let nodeConfig;
+if (!isWorker) {
+    const { getConfig } = await import('./config.node.js');
+    nodeConfig = getConfig(process.env);
+}
+
+// Registry entries share the KV namespace with the default user's data under this prefix
+export const REGISTRY_PREFIX = 'registry:';
+
+// Usernames become storage namespaces (directory names on Node.js)
+const USERNAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+// Node.js: parsed users file, reloaded when the file changes
+let nodeRegistry = null;
+let nodeRegistryMtime = 0;
+
+async function loadNodeRegistry(usersFile) {
+    try {
+        const stat = await fs.stat(usersFile);
+        if (!nodeRegistry || stat.mtimeMs !== nodeRegistryMtime) {
+            nodeRegistry = JSON.parse(await fs.readFile(usersFile, 'utf8'));
+            nodeRegistryMtime = stat.mtimeMs;
+        }
+        return nodeRegistry;
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Look up a registered user
+ *
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {string} username - WebDAV username
+ * @returns {Promise<Object|null>} User record with username, or null if not registered
+ */
+export async function getUser(env, username) {
+    if (!USERNAME_PATTERN.test(username || '')) return null;
+
+    const record = isWorker
+        ? await env.CAST_MAGNET_LINK.get(`${REGISTRY_PREFIX}${username}`, 'json')
+        : (await loadNodeRegistry(nodeConfig.usersFile))[username];
+
+    if (!record || !record.password) return null;
+    return { ...record, username };
+}
+
+/**
+ * Build the configuration for a registered user
+ * The user's credentials and tokens replace the single-user values from the environment.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} user - User record from getUser
+ * @returns {Object} Per-user configuration, with userId set to the username
+ */
+export function getUserConfig(config, user) {
+    return {
+        ...config,
+        userId: user.username,
+        webdavUsername: user.username,
+        webdavPassword: user.password,
+        rdAccessToken: user.rdAccessToken || null,
+        dmmToken: user.dmmToken || null,
+    };
+}
+
+/**
+ * Resolve WebDAV credentials to a configuration
+ * The single user from the environment (WEBDAV_USERNAME/WEBDAV_PASSWORD) is checked first and
+ * keeps the unprefixed storage; in multi-user mode registered users are checked next.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} env - Environment (KV bindings on Workers)
+ * @param {string} username - WebDAV username
+ * @param {string} password - WebDAV password
+ * @returns {Promise<Object|null>} Configuration for the user, or null if the credentials are invalid
+ */
+export async function authenticate(config, env, username, password) {
+    if (config.webdavPassword &&
+        timingSafeEqual(username, config.webdavUsername) && timingSafeEqual(password, config.webdavPassword)) {
+        return config;
+    }
+    if (!config.multiUser) return null;
+
+    try {
+        const user = await getUser(env, username);
+        return user && timingSafeEqual(password, user.password) ? getUserConfig(config, user) : null;
+    } catch (error) {
+        logger.error('Error loading user registry', error);
+        return null;
+    }
+}
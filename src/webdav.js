@@ -0,0 +1,325 @@
+/**
+ * WebDAV Helpers
+ *
+ * Builds PROPFIND multistatus responses for the virtual WebDAV tree and parses
+ * the LOCK, UNLOCK and MOVE headers and bodies.
+ *
+ * Resources are plain objects:
+ * - collection: { href, name, collection: true, modified, getChildren: async () => [resources] }
+ * - file: { href, name, collection: false, size, modified, contentType }
+ */
+
+// Headers advertised on OPTIONS and PROPFIND responses
+export const DAV_HEADERS = {
+    'DAV': '1, 2',
+    'MS-Author-Via': 'DAV',
+    'Allow': 'OPTIONS, GET, HEAD, PROPFIND, DELETE, MOVE, LOCK, UNLOCK',
+};
+
+// Live properties this server can report
+const SUPPORTED_PROPS = ['displayname', 'resourcetype', 'getcontentlength', 'getlastmodified', 'getcontenttype', 'creationdate', 'supportedlock'];
+
+// Locks are granted for at most this long; clients refresh them while editing
+export const MAX_LOCK_SECONDS = 60 * 60;
+
+const SUPPORTED_LOCKS = ['exclusive', 'shared']
+    .map(scope => `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`)
+    .join('');
+
+/**
+ * Escape text for use in XML element content
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse the Depth header
+ * A missing header means infinity (RFC 4918 §9.1)
+ *
+ * @param {string|undefined} header - Depth header value
+ * @returns {number} 0, 1 or Infinity
+ */
+export function parseDepth(header) {
+    if (header === '0') return 0;
+    if (header === '1') return 1;
+    return Infinity;
+}
+
+/**
+ * Parse a PROPFIND request body
+ * An empty body is treated as allprop (RFC 4918 §9.1)
+ *
+ * @param {string} body - Request body
+ * @returns {{type: string, props: Array<{name: string, namespace: string}>}|null} Parsed request, or null if malformed
+ */
+export function parsePropfind(body) {
+    if (!body || !body.trim()) {
+        return { type: 'allprop', props: [] };
+    }
+
+    // Resolve namespace prefixes declared in the body, e.g. xmlns:D="DAV:"
+    const namespaces = { '': '' };
+    for (const [, prefix, uri] of body.matchAll(/xmlns(?::([\w.-]+))?\s*=\s*["']([^"']*)["']/g)) {
+        namespaces[prefix || ''] = uri;
+    }
+    const localName = (qname) => qname.includes(':') ? qname.split(':')[1] : qname;
+    const namespaceOf = (qname) => namespaces[qname.includes(':') ? qname.split(':')[0] : ''] ?? '';
+
+    if (!/<([\w.-]+:)?propfind[\s>/]/.test(body)) {
+        return null;
+    }
+    if (/<([\w.-]+:)?propname\s*\/?>/.test(body)) {
+        return { type: 'propname', props: [] };
+    }
+
+    const propMatch = body.match(/<([\w.-]+:)?prop(?:\s[^>]*)?>([\s\S]*?)<\/([\w.-]+:)?prop>/);
+    if (propMatch && !/<([\w.-]+:)?allprop\s*\/?>/.test(body)) {
+        const props = [...propMatch[2].matchAll(/<([\w.-]+(?::[\w.-]+)?)(?:\s[^>]*)?\/?>/g)]
+            .map(([, qname]) => ({ name: localName(qname), namespace: namespaceOf(qname) }));
+        return { type: 'prop', props };
+    }
+
+    return { type: 'allprop', props: [] };
+}
+
+/**
+ * Get the live property values for a resource
+ *
+ * @param {Object} resource - WebDAV resource
+ * @returns {Object} Map of property name to XML content
+ */
+function getPropertyValues(resource) {
+    const modified = resource.modified ? new Date(resource.modified) : new Date();
+    const values = {
+        displayname: escapeXml(resource.name),
+        resourcetype: resource.collection ? '<D:collection/>' : '',
+        getlastmodified: modified.toUTCString(),
+        creationdate: modified.toISOString(),
+        supportedlock: SUPPORTED_LOCKS,
+    };
+    if (!resource.collection) {
+        values.getcontentlength = String(resource.size || 0);
+        values.getcontenttype = escapeXml(resource.contentType || 'application/octet-stream');
+    }
+    return values;
+}
+
+function propElement(name, value) {
+    return value ? `<D:${name}>${value}</D:${name}>` : `<D:${name}/>`;
+}
+
+function propstat(props, status) {
+    return `
+        <D:propstat>
+          <D:prop>
+            ${props.join('\n            ')}
+          </D:prop>
+          <D:status>HTTP/1.1 ${status}</D:status>
+        </D:propstat>`;
+}
+
+/**
+ * Build the <D:response> element for one resource
+ *
+ * @param {Object} resource - WebDAV resource
+ * @param {Object} propfind - Parsed PROPFIND request
+ * @param {string} hrefQuery - Query string appended to the href
+ * @returns {string} XML
+ */
+function buildResponse(resource, propfind, hrefQuery) {
+    const values = getPropertyValues(resource);
+    let propstats;
+
+    if (propfind.type === 'propname') {
+        propstats = propstat(Object.keys(values).map(name => `<D:${name}/>`), '200 OK');
+    } else if (propfind.type === 'prop') {
+        const found = [];
+        const missing = [];
+        for (const { name, namespace } of propfind.props) {
+            if (namespace === 'DAV:' && name in values) {
+                found.push(propElement(name, values[name]));
+            } else if (namespace === 'DAV:') {
+                missing.push(`<D:${name}/>`);
+            } else {
+                missing.push(`<x:${name} xmlns:x="${escapeXml(namespace)}"/>`);
+            }
+        }
+        propstats = (found.length ? propstat(found, '200 OK') : '') +
+            (missing.length ? propstat(missing, '404 Not Found') : '');
+    } else {
+        propstats = propstat(SUPPORTED_PROPS.filter(name => name in values).map(name => propElement(name, values[name])), '200 OK');
+    }
+
+    return `
+      <D:response>
+        <D:href>${escapeXml(resource.href + hrefQuery)}</D:href>${propstats}
+      </D:response>`;
+}
+
+/**
+ * Collect a resource and its descendants down to the requested depth
+ *
+ * @param {Object} resource - WebDAV resource
+ * @param {number} depth - 0, 1 or Infinity
+ * @returns {Promise<Array>} Resources in document order
+ */
+async function collectResources(resource, depth) {
+    const resources = [resource];
+    if (!resource.collection || depth === 0) {
+        return resources;
+    }
+    const children = await resource.getChildren();
+    for (const child of children) {
+        resources.push(...await collectResources(child, depth === Infinity ? Infinity : depth - 1));
+    }
+    return resources;
+}
+
+/**
+ * Build a 207 Multi-Status response for a PROPFIND request
+ *
+ * @param {Object} resource - Requested WebDAV resource
+ * @param {number} depth - 0, 1 or Infinity
+ * @param {Object} propfind - Parsed PROPFIND request
+ * @param {string} [hrefQuery=''] - Query string for every href, e.g. the signature of a share URL
+ *     so clients can follow the listed resources
+ * @returns {Promise<Response>} Multi-Status response
+ */
+export async function propfindResponse(resource, depth, propfind, hrefQuery = '') {
+    const resources = await collectResources(resource, depth);
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<D:multistatus xmlns:D="DAV:">${resources.map(r => buildResponse(r, propfind, hrefQuery)).join('')}
+</D:multistatus>`;
+
+    return new Response(xml, {
+        status: 207,
+        headers: { 'Content-Type': 'application/xml; charset=utf-8', 'DAV': DAV_HEADERS.DAV },
+    });
+}
+
+/**
+ * Build the 403 response refusing a Depth: infinity PROPFIND on a large collection (RFC 4918 §9.1)
+ *
+ * @returns {Response} Response with the propfind-finite-depth precondition
+ */
+export function finiteDepthResponse() {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<D:error xmlns:D="DAV:">
+  <D:propfind-finite-depth/>
+</D:error>`;
+
+    return new Response(xml, {
+        status: 403,
+        headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+    });
+}
+
+/**
+ * Parse a LOCK request body
+ * An empty body asks to refresh an existing lock (RFC 4918 §9.10.2)
+ *
+ * @param {string} body - Request body
+ * @returns {{scope: string, owner: string}|null} Requested lock, or null for a refresh
+ */
+export function parseLockInfo(body) {
+    if (!body || !body.trim()) {
+        return null;
+    }
+    const scope = /<([\w.-]+:)?shared\s*\/?>/.test(body) ? 'shared' : 'exclusive';
+    const ownerMatch = body.match(/<([\w.-]+:)?owner(?:\s[^>]*)?>([\s\S]*?)<\/([\w.-]+:)?owner>/);
+    return { scope, owner: ownerMatch ? ownerMatch[2].trim() : '' };
+}
+
+/**
+ * Parse the Timeout header of a LOCK request, e.g. "Second-600" or "Infinite"
+ *
+ * @param {string|undefined} header - Timeout header value
+ * @returns {number} Lock timeout in seconds, capped at MAX_LOCK_SECONDS
+ */
+export function parseTimeout(header) {
+    const match = (header || '').match(/Second-(\d+)/i);
+    return match ? Math.min(Math.max(parseInt(match[1], 10), 1), MAX_LOCK_SECONDS) : MAX_LOCK_SECONDS;
+}
+
+/**
+ * Extract the lock tokens submitted in a Lock-Token or If header
+ *
+ * @param {string|undefined} header - Header value
+ * @returns {Array<string>} Lock tokens, without angle brackets
+ */
+export function parseLockTokens(header) {
+    return [...(header || '').matchAll(/<(opaquelocktoken:[^>]+)>/g)].map(([, token]) => token);
+}
+
+/**
+ * Build the response to a successful LOCK request
+ *
+ * @param {Object} lock - Lock with href, token, scope, depth, owner and timeout
+ * @param {number} [status=200] - 200 for existing resources or refreshes
+ * @returns {Response} Response with the lockdiscovery property and Lock-Token header
+ */
+export function lockResponse(lock, status = 200) {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<D:prop xmlns:D="DAV:">
+  <D:lockdiscovery>
+    <D:activelock>
+      <D:locktype><D:write/></D:locktype>
+      <D:lockscope><D:${lock.scope}/></D:lockscope>
+      <D:depth>${lock.depth}</D:depth>${lock.owner ? `
+      <D:owner>${lock.owner}</D:owner>` : ''}
+      <D:timeout>Second-${lock.timeout}</D:timeout>
+      <D:locktoken><D:href>${escapeXml(lock.token)}</D:href></D:locktoken>
+      <D:lockroot><D:href>${escapeXml(lock.href)}</D:href></D:lockroot>
+    </D:activelock>
+  </D:lockdiscovery>
+</D:prop>`;
+
+    return new Response(xml, {
+        status,
+        headers: { 'Content-Type': 'application/xml; charset=utf-8', 'Lock-Token': `<${lock.token}>` },
+    });
+}
+
+/**
+ * Get the path of a MOVE Destination header
+ *
+ * @param {string|undefined} header - Destination header (absolute URL or path)
+ * @param {string} requestUrl - Request URL, to resolve relative destinations
+ * @returns {string|null} Destination path, or null if missing or invalid
+ */
+export function parseDestination(header, requestUrl) {
+    if (!header) return null;
+    try {
+        // Only the path is used: behind a reverse proxy the host can differ from the request's
+        return new URL(header, requestUrl).pathname;
+    } catch (error) {
+        return null;
+    }
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        // Malformed escape, e.g. %E0%A4%A: kept as it is, so nothing is found at the path
+        return segment;
+    }
+}
+
+/**
+ * Split a request path into decoded segments
+ *
+ * @param {string} pathname - URL path, e.g. /manual/My%20Show/
+ * @returns {Array<string>} Segments, e.g. ['manual', 'My Show']
+ */
+export function getPathSegments(pathname) {
+    return pathname.split('/').filter(Boolean).map(decodeSegment);
+}
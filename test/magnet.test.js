@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MagnetError, parseMagnetOrHash, buildMagnet, base32ToHex, getMagnetLabel, getRequestMagnet,
+} from '../src/magnet.js';
+
+const HEX = '0123456789abcdef0123456789abcdef01234567';
+const BTMH = `1220${'ab'.repeat(32)}`;
+
+describe('base32ToHex', () => {
+    it('converts a base32 infohash to lowercase hex', () => {
+        assert.equal(base32ToHex('AERUKZ4JVPG66AJDIVSYZK3VCQOUEXBT'), '0123456789abcdef012345658cab75141d425c33');
+    });
+
+    it('accepts lowercase base32', () => {
+        assert.equal(base32ToHex('aeruKZ4JVPG66AJDIVSYZK3VCQOUEXBT'), base32ToHex('AERUKZ4JVPG66AJDIVSYZK3VCQOUEXBT'));
+    });
+
+    it('round-trips 32 base32 characters to 40 hex characters', () => {
+        assert.equal(base32ToHex('A'.repeat(32)), '0'.repeat(40));
+        assert.equal(base32ToHex('7'.repeat(32)), 'f'.repeat(40));
+    });
+});
+
+describe('parseMagnetOrHash', () => {
+    it('accepts a bare hex infohash in any case', () => {
+        assert.equal(parseMagnetOrHash(HEX.toUpperCase()).infoHash, HEX);
+    });
+
+    it('accepts a bare base32 infohash', () => {
+        assert.equal(parseMagnetOrHash('AERUKZ4JVPG66AJDIVSYZK3VCQOUEXBT').infoHash, '0123456789abcdef012345658cab75141d425c33');
+    });
+
+    it('parses btih, display name, trackers and exact length', () => {
+        const magnet = parseMagnetOrHash(`magnet:?xt=urn:btih:${HEX}&dn=Some+Movie+2020&tr=udp%3A%2F%2Ftracker.example%3A1337%2Fannounce&xl=123`);
+        assert.deepEqual(magnet, {
+            infoHash: HEX,
+            infoHashV2: null,
+            displayName: 'Some Movie 2020',
+            trackers: ['udp://tracker.example:1337/announce'],
+            length: 123,
+        });
+    });
+
+    it('accepts a BitTorrent v2 link and a hybrid link', () => {
+        assert.equal(parseMagnetOrHash(`magnet:?xt=urn:btmh:${BTMH}`).infoHashV2, BTMH);
+        const hybrid = parseMagnetOrHash(`magnet:?xt=urn:btih:${HEX}&xt=urn:btmh:${BTMH}`);
+        assert.equal(hybrid.infoHash, HEX);
+        assert.equal(hybrid.infoHashV2, BTMH);
+    });
+
+    it('accepts numbered parameters', () => {
+        const magnet = parseMagnetOrHash(`magnet:?xt.1=urn:btih:${HEX}&tr.1=https://a.example/announce&tr.2=https://b.example/announce`);
+        assert.equal(magnet.infoHash, HEX);
+        assert.deepEqual(magnet.trackers, ['https://a.example/announce', 'https://b.example/announce']);
+    });
+
+    for (const [input, message] of [
+        ['', /Enter a magnet link or infohash/],
+        ['abc', /expected 40 hex characters, got 3/],
+        ['not a hash', /is not a magnet link or infohash/],
+        ['magnet:xt=urn:btih:abc', /starts with "magnet:\?"/],
+        ['magnet:?dn=Movie', /has no infohash/],
+        ['magnet:?xt=urn:btih:xyz', /Invalid infohash "xyz": expected 40 hex or 32 base32 characters, got 3/],
+        ['magnet:?xt=urn:btmh:1220abc', /Invalid BitTorrent v2 infohash/],
+        ['magnet:?xt=urn:ed2k:abc', /is not a BitTorrent link/],
+        ['magnet:?xt=btih', /Invalid exact topic/],
+        [`magnet:?xt=urn:btih:${HEX}&tr=notaurl`, /Invalid tracker URL/],
+        [`magnet:?xt=urn:btih:${HEX}&tr=ftp://tracker.example/`, /Unsupported tracker protocol "ftp:"/],
+        [`magnet:?xt=urn:btih:${HEX}&xl=1e3`, /Invalid exact length \(xl\)/],
+        [`magnet:?xt=urn:btih:${HEX}&xl=-1`, /Invalid exact length \(xl\)/],
+    ]) {
+        it(`rejects ${JSON.stringify(input)}`, () => {
+            assert.throws(() => parseMagnetOrHash(input), (error) => error instanceof MagnetError && message.test(error.message));
+        });
+    }
+});
+
+describe('buildMagnet', () => {
+    it('builds a magnet with a hex infohash and encoded parameters', () => {
+        const magnet = parseMagnetOrHash('magnet:?xt=urn:btih:AERUKZ4JVPG66AJDIVSYZK3VCQOUEXBT&dn=A%26B&tr=https%3A%2F%2Ft.example%2Fannounce%3Fpasskey%3Dx');
+        assert.equal(buildMagnet(magnet),
+            'magnet:?xt=urn:btih:0123456789abcdef012345658cab75141d425c33&dn=A%26B&tr=https%3A%2F%2Ft.example%2Fannounce%3Fpasskey%3Dx');
+    });
+
+    it('round-trips through parseMagnetOrHash', () => {
+        const magnet = parseMagnetOrHash(`magnet:?xt=urn:btih:${HEX}&xt=urn:btmh:${BTMH}&dn=Show&xl=5&tr=udp://t.example:1/a`);
+        assert.deepEqual(parseMagnetOrHash(buildMagnet(magnet)), magnet);
+    });
+});
+
+describe('getMagnetLabel', () => {
+    it('prefers the display name, then the infohash, then the input', () => {
+        assert.equal(getMagnetLabel(`magnet:?xt=urn:btih:${HEX}&dn=Movie`), 'Movie');
+        assert.equal(getMagnetLabel(HEX), HEX);
+        assert.equal(getMagnetLabel('bad'), 'bad');
+    });
+});
+
+describe('getRequestMagnet', () => {
+    const magnet = `magnet:?xt=urn:btih:${HEX}&dn=Movie&tr=udp%3A%2F%2Ft.example%3A1337%2Fannounce`;
+
+    it('reassembles an unencoded magnet from /add/magnet:?…&tr=…', () => {
+        // The router sees "magnet:" as the path parameter and the rest as the query string
+        assert.equal(getRequestMagnet(`https://cast.example/add/${magnet}`, 'magnet:'), magnet);
+        assert.deepEqual(parseMagnetOrHash(getRequestMagnet(`https://cast.example/add/${magnet}`, 'magnet:')).trackers,
+            ['udp://t.example:1337/announce']);
+    });
+
+    it('reassembles an unencoded magnet from /?add=magnet:?…&tr=…', () => {
+        // ?add= only holds the magnet up to the first &
+        assert.equal(getRequestMagnet(`https://cast.example/?add=${magnet}`, `magnet:?xt=urn:btih:${HEX}`), magnet);
+    });
+
+    it('keeps encoded magnets and infohashes as they were decoded', () => {
+        const encoded = `https://cast.example/add/${encodeURIComponent(magnet)}`;
+        assert.equal(getRequestMagnet(encoded, magnet), magnet);
+        assert.equal(getRequestMagnet(`https://cast.example/?add=${encodeURIComponent(magnet)}`, magnet), magnet);
+        assert.equal(getRequestMagnet(`https://cast.example/add/${HEX}`, HEX), HEX);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Storage and config read the environment when the app is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rd-play-'));
+process.env.DATA_DIR = dataDir;
+process.env.RD_ACCESS_TOKEN = 'test-token';
+process.env.WEBDAV_PASSWORD = 'test-password';
+delete process.env.STORAGE_BACKEND;
+
+// Real-Debrid API: an empty download history, and unrestrict calls recorded
+const unrestricted = [];
+globalThis.fetch = async (url, options = {}) => {
+    const json = (data, headers = {}) => new Response(JSON.stringify(data), { headers: { 'Content-Type': 'application/json', ...headers } });
+    if (String(url).endsWith('/unrestrict/link')) {
+        const link = new URLSearchParams(options.body).get('link');
+        unrestricted.push(link);
+        return json({ download: `https://cdn.example/fresh/${link.split('/').pop()}`, filename: 'Movie.mkv', filesize: 100 });
+    }
+    if (String(url).includes('/downloads')) {
+        return json([], { 'X-Total-Count': '0' });
+    }
+    return new Response('Not mocked', { status: 500 });
+};
+
+const { default: storage } = await import('../src/storage.js');
+const { default: app } = await import('../src/app.js');
+
+const auth = { Authorization: `Basic ${Buffer.from('admin:test-password').toString('base64')}` };
+
+describe('GET /play/:id', () => {
+    before(async () => {
+        // An entry last generated 8 days ago, past the 7-day expiry of generated entries
+        const generatedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+        await fs.writeFile(path.join(dataDir, 'strm-cache.json'), JSON.stringify({
+            OLDLINK: { originalLink: 'https://real-debrid.com/d/OLDLINK', unrestrictedUrl: 'https://cdn.example/old', generatedAt, filename: 'Movie.mkv', manuallyAdded: false },
+        }));
+    });
+    after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+    it('redirects a stored entry to its unrestricted URL', async () => {
+        await storage.addStrmEntry({}, 'NEWLINK', 'https://real-debrid.com/d/NEWLINK', 'https://cdn.example/new', 'Show.mkv');
+        const response = await app.request('/play/NEWLINK', { headers: auth });
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get('Location'), 'https://cdn.example/new');
+    });
+
+    it('rebuilds an expired entry from its link ID', async () => {
+        // The write above dropped the expired entry
+        assert.equal(await storage.getStrmEntry({}, 'OLDLINK'), null);
+
+        const response = await app.request('/play/OLDLINK', { headers: auth });
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get('Location'), 'https://cdn.example/fresh/OLDLINK');
+        assert.deepEqual(unrestricted, ['https://real-debrid.com/d/OLDLINK']);
+
+        const entry = await storage.getStrmEntry({}, 'OLDLINK');
+        assert.equal(entry.unrestrictedUrl, 'https://cdn.example/fresh/OLDLINK');
+    });
+
+    it('returns 404 for an ID that names no link', async () => {
+        const response = await app.request('/play/not-a-link', { headers: auth });
+        assert.equal(response.status, 404);
+    });
+});
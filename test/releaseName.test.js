@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReleaseName, toSafeName } from '../src/releaseName.js';
+
+describe('parseReleaseName', () => {
+    it('parses a scene movie release', () => {
+        const release = parseReleaseName('Movie.Title.2023.1080p.WEB-DL.x264-GRP.mkv');
+        assert.equal(release.title, 'Movie Title');
+        assert.equal(release.year, 2023);
+        assert.equal(release.resolution, '1080p');
+        assert.equal(release.codec, 'AVC');
+        assert.equal(release.extension, 'mkv');
+        assert.equal(release.type, 'movie');
+    });
+
+    it('keeps a year at the start of the title', () => {
+        const release = parseReleaseName('2001.A.Space.Odyssey.1968.1080p.BluRay.x264.mkv');
+        assert.equal(release.title, '2001 A Space Odyssey');
+        assert.equal(release.year, 1968);
+    });
+
+    it('keeps a year-like number in the title when the release year follows it', () => {
+        const release = parseReleaseName('Blade.Runner.2049.2017.2160p.UHD.BluRay.x265-GRP.mkv');
+        assert.equal(release.title, 'Blade Runner 2049');
+        assert.equal(release.year, 2017);
+        assert.equal(release.resolution, '2160p');
+        assert.equal(release.codec, 'HEVC');
+    });
+
+    it('parses a title that is only a year', () => {
+        const release = parseReleaseName('1917.2019.1080p.mkv');
+        assert.equal(release.title, '1917');
+        assert.equal(release.year, 2019);
+    });
+
+    it('parses an episode with HDR formats', () => {
+        const release = parseReleaseName('Some.Show.S02E05.2160p.WEB-DL.DV.HDR10.x265-GRP.mkv');
+        assert.equal(release.title, 'Some Show');
+        assert.equal(release.type, 'episode');
+        assert.equal(release.season, 2);
+        assert.equal(release.episode, 5);
+        assert.deepEqual(release.episodes, [5]);
+        assert.deepEqual(release.hdr, ['DV', 'HDR10']);
+    });
+
+    for (const [name, episodes] of [
+        ['Some.Show.S02E05E06.1080p.mkv', [5, 6]],
+        ['Some.Show.S02E05-E06.1080p.mkv', [5, 6]],
+        ['Some.Show.S01E01-E03.720p.mkv', [1, 2, 3]],
+        ['Some.Show.S01E09-10.mkv', [9, 10]],
+        ['Some.Show.S01E01E02E03.mkv', [1, 2, 3]],
+    ]) {
+        it(`parses the multi-episode name ${name}`, () => {
+            const release = parseReleaseName(name);
+            assert.equal(release.title, 'Some Show');
+            assert.equal(release.type, 'episode');
+            assert.equal(release.episode, episodes[0]);
+            assert.deepEqual(release.episodes, episodes);
+        });
+    }
+
+    it('parses 2x05 episodes', () => {
+        const release = parseReleaseName('Show.2x05.mkv');
+        assert.equal(release.season, 2);
+        assert.deepEqual(release.episodes, [5]);
+    });
+
+    it('leaves the title empty for bare episode names', () => {
+        const release = parseReleaseName('S01E01.mkv');
+        assert.equal(release.title, '');
+        assert.equal(release.episode, 1);
+    });
+
+    it('drops leading group tags and folders', () => {
+        assert.equal(parseReleaseName('Pack/[Group] Some Show - S01E02 [1080p].mkv').title, 'Some Show');
+    });
+});
+
+describe('toSafeName', () => {
+    it('removes path separators and reserved characters', () => {
+        assert.equal(toSafeName('AC/DC: Live? <2024>'), 'AC DC Live 2024');
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signPath, signUrl, verifySignedPath } from '../src/signing.js';
+
+const SECRET = 'test-secret';
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('signUrl', () => {
+    it('adds a signature that verifies for the signed path', async () => {
+        const exp = inAnHour();
+        const signed = new URL(await signUrl(SECRET, new URL('https://rd.example/manual/Movie%20(2020)/Movie.strm'), exp));
+        assert.equal(signed.searchParams.get('exp'), String(exp));
+        assert.equal(await verifySignedPath(SECRET, signed.pathname, signed.searchParams.get('sig'), signed.searchParams.get('exp')), true);
+    });
+});
+
+describe('verifySignedPath', () => {
+    it('accepts paths below a signed collection', async () => {
+        const exp = inAnHour();
+        const sig = await signPath(SECRET, '/manual/Show/', exp);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Show/', sig, String(exp)), true);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Show/Season%201/', sig, String(exp)), true);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Show/Season%201/S01E01.strm', sig, String(exp)), true);
+    });
+
+    it('rejects paths outside the signed scope', async () => {
+        const exp = inAnHour();
+        const sig = await signPath(SECRET, '/manual/Show/', exp);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Other/S01E01.strm', sig, String(exp)), false);
+        assert.equal(await verifySignedPath(SECRET, '/manual/', sig, String(exp)), false);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Show2/', sig, String(exp)), false);
+        assert.equal(await verifySignedPath(SECRET, '/torrents/Show/', sig, String(exp)), false);
+    });
+
+    it('does not treat a file signature as a collection scope', async () => {
+        const exp = inAnHour();
+        const sig = await signPath(SECRET, '/manual/Movie.strm', exp);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm/other', sig, String(exp)), false);
+    });
+
+    it('rejects an expired signature', async () => {
+        const exp = Math.floor(Date.now() / 1000) - 1;
+        const sig = await signPath(SECRET, '/manual/Movie.strm', exp);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm', sig, String(exp)), false);
+    });
+
+    it('rejects an expiry changed after signing', async () => {
+        const exp = inAnHour();
+        const sig = await signPath(SECRET, '/manual/Movie.strm', exp);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm', sig, String(exp + 3600)), false);
+    });
+
+    it('rejects a missing signature or a non-numeric expiry', async () => {
+        const exp = inAnHour();
+        const sig = await signPath(SECRET, '/manual/Movie.strm', exp);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm', '', String(exp)), false);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm', sig, undefined), false);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm', sig, `${exp}.0`), false);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm', sig, `${exp}abc`), false);
+    });
+
+    it('rejects a signature made with another secret', async () => {
+        const exp = inAnHour();
+        const sig = await signPath('other-secret', '/manual/Movie.strm', exp);
+        assert.equal(await verifySignedPath(SECRET, '/manual/Movie.strm', sig, String(exp)), false);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// The SQL backend reads STORAGE_BACKEND and SQLITE_FILE when storage.js is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rd-sql-storage-'));
+const sqliteFile = path.join(dataDir, 'rd-cast.db');
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_FILE = sqliteFile;
+const { default: storage } = await import('../src/storage.js');
+
+/**
+ * Move an entry's generation date back, as if it was last generated that many days ago
+ */
+function age(linkId, days) {
+    const db = new Database(sqliteFile);
+    try {
+        db.prepare('UPDATE strm_entries SET generated_at = ? WHERE id = ?')
+            .run(new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(), linkId);
+    } finally {
+        db.close();
+    }
+}
+
+describe('SQL storage backend', () => {
+    after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+    it('keeps manually added entries past the expiry of generated entries', async () => {
+        await storage.addStrmEntry({}, 'manual', 'https://real-debrid.com/d/manual', null, 'Added.mkv', true);
+        await storage.addStrmEntry({}, 'generated', 'https://real-debrid.com/d/generated', null, 'Listed.mkv');
+        age('manual', 30);
+        age('generated', 8);
+
+        assert.equal((await storage.getStrmEntry({}, 'manual')).filename, 'Added.mkv');
+        assert.equal(await storage.getStrmEntry({}, 'generated'), null);
+        assert.deepEqual((await storage.getAllStrmEntries({})).map(entry => entry.linkId), ['manual']);
+    });
+});
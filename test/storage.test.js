@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The JSON backend reads DATA_DIR when storage.js is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rd-storage-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.STORAGE_BACKEND;
+const { default: storage } = await import('../src/storage.js');
+
+// Each test uses its own user namespace, so it starts without files loaded by another test
+const userEnv = name => ({ STORAGE_NAMESPACE: name });
+const userDir = name => path.join(dataDir, 'users', name);
+
+async function readJson(file) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+describe('JSON storage backend', () => {
+    before(() => fs.mkdir(dataDir, { recursive: true }));
+    after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+    it('persists concurrent writes without leaving temp files', async () => {
+        const env = userEnv('concurrent');
+        await Promise.all(Array.from({ length: 50 }, (_, i) =>
+            storage.addStrmEntry(env, `link${i}`, `https://real-debrid.com/d/${i}`, `https://cdn.example/${i}`, `File ${i}.mkv`)));
+
+        const saved = await readJson(path.join(userDir('concurrent'), 'strm-cache.json'));
+        assert.equal(Object.keys(saved).length, 50);
+        assert.equal(saved.link49.unrestrictedUrl, 'https://cdn.example/49');
+
+        const files = await fs.readdir(userDir('concurrent'));
+        assert.deepEqual(files.filter(file => file.endsWith('.tmp')), []);
+        assert.ok(files.includes('strm-cache.json.bak'));
+    });
+
+    it('recovers a damaged file from its backup', async () => {
+        const dir = userDir('damaged');
+        await fs.mkdir(dir, { recursive: true });
+        const entry = { originalLink: 'https://real-debrid.com/d/1', unrestrictedUrl: 'https://cdn.example/1', generatedAt: new Date().toISOString(), filename: 'Movie.mkv' };
+        await fs.writeFile(path.join(dir, 'strm-cache.json.bak'), JSON.stringify({ link1: entry }));
+        await fs.writeFile(path.join(dir, 'strm-cache.json'), '{"link1": {"originalLink": "https://real-de');
+
+        assert.deepEqual(await storage.getStrmEntry(userEnv('damaged'), 'link1'), entry);
+
+        // The damaged file is kept aside rather than overwriting the backup on the next write
+        const files = await fs.readdir(dir);
+        assert.equal(files.filter(file => file.startsWith('strm-cache.json.corrupt-')).length, 1);
+        assert.ok(!files.includes('strm-cache.json'));
+    });
+
+    it('starts empty when the file and its backup are damaged', async () => {
+        const dir = userDir('unusable');
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, 'strm-cache.json'), '{');
+        await fs.writeFile(path.join(dir, 'strm-cache.json.bak'), '{');
+
+        assert.deepEqual(await storage.getAllStrmEntries(userEnv('unusable')), []);
+    });
+
+    it('keeps manually added entries past the expiry of generated entries', async () => {
+        const dir = userDir('expiry');
+        await fs.mkdir(dir, { recursive: true });
+        const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        await fs.writeFile(path.join(dir, 'strm-cache.json'), JSON.stringify({
+            manual: { originalLink: 'https://real-debrid.com/d/manual', generatedAt: daysAgo(30), filename: 'Added.mkv', manuallyAdded: true },
+            generated: { originalLink: 'https://real-debrid.com/d/generated', generatedAt: daysAgo(8), filename: 'Listed.mkv', manuallyAdded: false },
+        }));
+
+        // Any full write drops expired entries
+        const env = userEnv('expiry');
+        await storage.addStrmEntry(env, 'new', 'https://real-debrid.com/d/new', null, 'New.mkv');
+
+        const saved = await readJson(path.join(dir, 'strm-cache.json'));
+        assert.deepEqual(Object.keys(saved).sort(), ['manual', 'new']);
+        assert.equal((await storage.getStrmEntry(env, 'manual')).filename, 'Added.mkv');
+    });
+
+    it('journals refreshed URLs and replays them on load', async () => {
+        const env = userEnv('journal');
+        await storage.addStrmEntry(env, 'link1', 'https://real-debrid.com/d/1', 'https://cdn.example/old', 'Movie.mkv');
+        await storage.updateStrmUrl(env, 'link1', 'https://cdn.example/new');
+
+        // strm-cache.json is not rewritten for a refreshed URL
+        const dir = userDir('journal');
+        assert.equal((await readJson(path.join(dir, 'strm-cache.json'))).link1.unrestrictedUrl, 'https://cdn.example/old');
+        const lines = (await fs.readFile(path.join(dir, 'strm-cache.journal'), 'utf8')).split('\n').filter(Boolean);
+        assert.equal(lines.length, 1);
+        assert.equal(JSON.parse(lines[0]).unrestrictedUrl, 'https://cdn.example/new');
+
+        // A fresh load of the same files (as after a restart) applies the journal,
+        // and skips an incomplete line left by a crash mid-append
+        const restarted = userDir('journal-restarted');
+        await fs.mkdir(restarted, { recursive: true });
+        await fs.copyFile(path.join(dir, 'strm-cache.json'), path.join(restarted, 'strm-cache.json'));
+        await fs.writeFile(path.join(restarted, 'strm-cache.journal'), `${lines[0]}\n{"linkId":"link1","unrest`);
+        const entry = await storage.getStrmEntry(userEnv('journal-restarted'), 'link1');
+        assert.equal(entry.unrestrictedUrl, 'https://cdn.example/new');
+    });
+
+    it('folds the journal into the next full write', async () => {
+        const env = userEnv('journal');
+        await storage.addStrmEntry(env, 'link2', 'https://real-debrid.com/d/2', 'https://cdn.example/2', 'Other.mkv');
+
+        const dir = userDir('journal');
+        const saved = await readJson(path.join(dir, 'strm-cache.json'));
+        assert.equal(saved.link1.unrestrictedUrl, 'https://cdn.example/new');
+        await assert.rejects(fs.access(path.join(dir, 'strm-cache.journal')), { code: 'ENOENT' });
+    });
+});